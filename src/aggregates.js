@@ -0,0 +1,36 @@
+import { max, min, sum } from "lodash";
+import { GraphQLInt, GraphQLNonNull, getNullableType } from "graphql";
+
+/**
+ * The functions that can be used by `aggregate()`.
+ *
+ * Each function has `type(fieldType)`, which returns the GraphQL type of the
+ * aggregate, `reduce(values)`, which aggregates the values of a group of
+ * children, and `combine(results)`, which aggregates the results of reducing
+ * separate groups of children, such as when the children of a parent are
+ * found through an association type. Null values are ignored, and the
+ * aggregate of no values is zero for `count` and null otherwise.
+ */
+export const aggregateFunctions = {
+    count: {
+        type: () => new GraphQLNonNull(GraphQLInt),
+        reduce: values => nonNull(values).length,
+        combine: counts => sum(counts)
+    },
+    sum: nonNullAggregate(sum),
+    min: nonNullAggregate(min),
+    max: nonNullAggregate(max)
+};
+
+// Aggregates, such as sums, that can combine results in the same way as values.
+function nonNullAggregate(aggregate) {
+    const reduce = values => {
+        const nonNullValues = nonNull(values);
+        return nonNullValues.length === 0 ? null : aggregate(nonNullValues);
+    };
+    return {type: getNullableType, reduce: reduce, combine: reduce};
+}
+
+function nonNull(values) {
+    return values.filter(value => value != null);
+}
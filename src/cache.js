@@ -0,0 +1,137 @@
+import { flatMap, isArray, isPlainObject, map, mapValues, some } from "lodash";
+
+import JoinMap from "./JoinMap";
+import { uniqJoinValues } from "./immutable";
+
+/**
+ * A store that keeps up to `maxSize` values in memory, evicting the least
+ * recently used values first.
+ *
+ * Stores have the methods `get(key)`, `set(key, value, {ttl})` and
+ * `delete(key)`, where `ttl` is the number of milliseconds until the value
+ * expires, or null if the value doesn't expire. Any of these methods may
+ * return a promise instead of a value.
+ */
+export class LruStore {
+    constructor({maxSize=1000}={}) {
+        this._maxSize = maxSize;
+        this._entries = new Map();
+    }
+
+    get(key) {
+        const entry = this._entries.get(key);
+        if (entry === undefined) {
+            return undefined;
+        } else if (entry.expires !== null && entry.expires <= Date.now()) {
+            this._entries.delete(key);
+            return undefined;
+        } else {
+            // Maps iterate in insertion order, so reinserting the entry
+            // marks it as the most recently used.
+            this._entries.delete(key);
+            this._entries.set(key, entry);
+            return entry.value;
+        }
+    }
+
+    set(key, value, {ttl=null}={}) {
+        this._entries.delete(key);
+        this._entries.set(key, {value, expires: ttl === null ? null : Date.now() + ttl});
+        if (this._entries.size > this._maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this._entries.delete(key);
+    }
+}
+
+/**
+ * Caches the children fetched by relationships across requests.
+ * The children are cached separately for each distinct set of parent join
+ * values, along with the arguments and selections of the request, so the
+ * fetch can only be skipped if the children for every parent are cached.
+ */
+export class Cache {
+    constructor({store=new LruStore(), ttl=null, scope=() => null}={}) {
+        this._store = store;
+        this._ttl = ttl;
+        this._scope = scope;
+        this._generation = 0;
+    }
+
+    // Rather than deleting each cached value, which would require the store
+    // to find all keys for this cache, invalidation changes the keys used
+    // for all subsequent requests.
+    invalidate() {
+        this._generation++;
+    }
+
+    fetch(relationship, request, parentJoinValues, fetchResults) {
+        const joinValuesList = uniqJoinValues(parentJoinValues);
+        const keys = joinValuesList.map(joinValues => this._key(relationship, request, joinValues));
+
+        return Promise.all(keys.map(key => this._store.get(key))).then(cached => {
+            if (cached.every(values => values !== undefined)) {
+                return flatMap(joinValuesList, (joinValues, index) =>
+                    cached[index].map(value => ({value, joinValues}))
+                );
+            } else {
+                return fetchResults().then(results => {
+                    if (some(results, result => containsError(result.value))) {
+                        return results;
+                    }
+                    const values = new JoinMap(results);
+                    return Promise.all(keys.map((key, index) =>
+                        this._store.set(key, values.get(joinValuesList[index], []), {ttl: this._ttl})
+                    )).then(() => results);
+                });
+            }
+        });
+    }
+
+    _key(relationship, request, joinValues) {
+        return JSON.stringify([
+            this._generation,
+            objectId(relationship),
+            requestSignature(request),
+            this._scope(request.context),
+            joinValues
+        ]);
+    }
+}
+
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+
+function objectId(obj) {
+    if (!objectIds.has(obj)) {
+        objectIds.set(obj, nextObjectId++);
+    }
+    return objectIds.get(obj);
+}
+
+function requestSignature(request) {
+    return [
+        request.args,
+        map(request.selections, selection => [selection.key, objectId(selection.field), requestSignature(selection)]),
+        mapValues(request.typeSelections, selections => selections.map(selection =>
+            [selection.key, objectId(selection.field), requestSignature(selection)]
+        ))
+    ];
+}
+
+// Values that failed to fetch aren't cached so that they're fetched again
+// by the next request.
+function containsError(value) {
+    if (value instanceof Error) {
+        return true;
+    } else if (isArray(value)) {
+        return value.some(containsError);
+    } else if (isPlainObject(value)) {
+        return some(value, containsError);
+    } else {
+        return false;
+    }
+}
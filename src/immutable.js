@@ -11,3 +11,17 @@ export function toListMap(collection, generatePair) {
         })
     );
 };
+
+// Keeps the first of each distinct set of join values, compared by value.
+export function uniqJoinValues(joinValuesList) {
+    const seen = Immutable.Set().asMutable();
+    return joinValuesList.filter(joinValues => {
+        const key = Immutable.fromJS(joinValues);
+        if (seen.has(key)) {
+            return false;
+        } else {
+            seen.add(key);
+            return true;
+        }
+    });
+}
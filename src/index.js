@@ -1,63 +1,272 @@
-import { flatMap, forEach, fromPairs, map, mapValues, partition, toPairs, uniqBy, zip } from "lodash";
+import { compact, every, find, findKey, flatMap, flatten, forEach, fromPairs, groupBy, has, isEqual, isFunction, map, mapValues, partition, pickBy, some, sumBy, toPairs, uniq, uniqBy, zip, zipObject } from "lodash";
 import { parse } from "graphql/language";
-import { GraphQLObjectType, GraphQLList } from "graphql";
+import { locatedError } from "graphql/error";
+import {
+    GraphQLObjectType,
+    GraphQLInterfaceType,
+    GraphQLUnionType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLSchema,
+    GraphQLBoolean,
+    GraphQLInt,
+    GraphQLString,
+    GraphQLError,
+    getNullableType,
+    execute as executeGraphQL,
+    validate
+} from "graphql";
 
-import { createRequest, requestFromGraphqlDocument, requestFromGraphqlAst, requestedFieldKey } from "./requests";
+import { createRequest, introspectionDocument, operationFieldKeys, requestFromGraphqlDocument, requestFromGraphqlAst, requestedFieldKey } from "./requests";
 
 import JoinMap from "./JoinMap";
+import { uniqJoinValues } from "./immutable";
+import { aggregateFunctions } from "./aggregates";
+import { checkLimits } from "./limits";
+import { createTracer, instrument } from "./instrumentation";
+export { Cache, LruStore } from "./cache";
+export { keyMatch, predicateMatch, rangeMatch } from "./matches";
+import { completeResult, requestedFieldName, setValueType, valueType } from "./results";
 
 export function execute(root, query, options={}) {
-    const request = requestFromGraphqlDocument(parse(query), root, options.variables);
-    return executeRequest(root, request);
+    const roots = {query: root, mutation: options.mutationRoot};
+    return new Promise(resolve => {
+        const document = parse(query);
+        const schema = graphQLSchema(roots);
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) {
+            resolve({errors: validationErrors});
+        } else {
+            const tracer = options.tracing ? createTracer() : null;
+            const instrumentation = compact([options.instrumentation, tracer && tracer.hook]);
+            const {root: operationRoot, request} = requestFromGraphqlDocument(document, roots, {...options, schema, instrumentation});
+            checkLimits(request, {...operationRoot.limits, ...options.limits});
+            resolve(Promise.all([
+                executeRequest(operationRoot, request),
+                executeIntrospection(schema, document, options)
+            ]).then(([result, introspectionResult]) => {
+                const merged = mergeResults(operationFieldKeys(document, options), result, introspectionResult);
+                return tracer ? {...merged, extensions: {tracing: tracer.result()}} : merged;
+            }));
+        }
+    }).catch(error => ({errors: [toGraphQLError(error)]}));
+}
+
+// The fields on the generated GraphQL types fetch using GraphJoiner, so only
+// the introspection fields need executing by GraphQL.
+function executeIntrospection(schema, document, options) {
+    const introspection = introspectionDocument(document, options);
+    if (introspection === null) {
+        return Promise.resolve({data: {}});
+    } else {
+        return executeGraphQL(schema, introspection, null, options.context, options.variables, options.operationName);
+    }
+}
+
+function mergeResults(keys, ...results) {
+    const errors = flatMap(results, result => result.errors || []);
+    const data = results.some(result => result.data == null) ? null : fromPairs(flatMap(keys, key => {
+        const result = find(results, result => has(result.data, key));
+        return result === undefined ? [] : [[key, result.data[key]]];
+    }));
+    return errors.length === 0 ? {data} : {data, errors};
+}
+
+// Errors for the operation as a whole, such as an unknown operation name,
+// are reported in the same form as errors from GraphQL.
+function toGraphQLError(error) {
+    return error instanceof GraphQLError ? error : locatedError(error);
+}
+
+/**
+ * Describes how a query would be fetched, without fetching anything.
+ * `select`, `selectForType` and `selectWindow` are still called to generate
+ * the selectors for each type, but `fetchImmediates` and `mutate` are not.
+ */
+export function explain(root, query, options={}) {
+    const roots = {query: root};
+    return new Promise(resolve => {
+        const document = parse(query);
+        const schema = graphQLSchema(roots);
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) {
+            resolve({errors: validationErrors});
+        } else {
+            const {root: operationRoot, request} = requestFromGraphqlDocument(document, roots, {...options, schema});
+            resolve(operationRoot.explain(request).then(([plan]) => ({
+                plan: plan,
+                fetchCount: countFetches(plan)
+            })));
+        }
+    }).catch(error => ({errors: [toGraphQLError(error)]}));
+}
+
+function countFetches(plan) {
+    return sumBy(plan.relationships, relationship =>
+        relationship.fetches.length + sumBy(relationship.fetches, countFetches) +
+            (relationship.through ? relationship.through.fetches.length : 0)
+    );
+}
+
+const schemas = new WeakMap();
+
+function graphQLSchema(roots) {
+    const cached = schemas.get(roots.query);
+    if (cached && cached.mutationRoot === roots.mutation) {
+        return cached.schema;
+    } else {
+        const schema = new GraphQLSchema({
+            query: roots.query.toGraphQLType(),
+            mutation: roots.mutation ? roots.mutation.toGraphQLType() : undefined,
+            // Types that implement interfaces might only be reachable through
+            // the interface, so we explicitly include all types.
+            types: reachableJoinTypes(roots)
+                .filter(joinType => joinType instanceof JoinType)
+                .map(joinType => joinType.toGraphQLType())
+        });
+        schemas.set(roots.query, {mutationRoot: roots.mutation, schema});
+        return schema;
+    }
+}
+
+function reachableJoinTypes(roots) {
+    const joinTypes = [];
+
+    function visit(joinType) {
+        if (joinTypes.indexOf(joinType) === -1) {
+            joinTypes.push(joinType);
+            if (joinType.possibleTypes) {
+                joinType.possibleTypes().forEach(visit);
+            }
+            forEach(joinType.fields(), field => {
+                if (field._target) {
+                    visit(field._target);
+                }
+            });
+        }
+    }
+
+    visit(roots.query);
+    if (roots.mutation) {
+        visit(roots.mutation);
+    }
+    return joinTypes;
 }
 
 function executeRequest(root, request) {
-    return Promise.resolve(root.fetch(request)).then(result => result[0].value);
+    return Promise.resolve(root.fetch(request)).then(result => completeResult(root, request, result[0].value));
 }
 
-export function many({target, select, join, args}={}) {
+export function many({target, select, join, through, match, args, mutate, window, cost, cache, nonNull=false, nonNullItems=false}={}) {
     return new Relationship({
         target,
         select,
         join,
+        through,
+        match,
         args,
+        mutate,
+        window,
+        cost,
+        cache,
         processResults: x => x,
-        wrapType: type => new GraphQLList(type)
+        wrapType: type => {
+            const listType = new GraphQLList(nonNullItems ? new GraphQLNonNull(type) : type);
+            return nonNull ? new GraphQLNonNull(listType) : listType;
+        },
+        // Extracted values may be null even if the instances they're
+        // extracted from aren't, so the items have the type of the field.
+        wrapExtractedType: type => nonNull ? new GraphQLNonNull(new GraphQLList(type)) : new GraphQLList(type)
     });
 }
 
-export function single({target, select, join, args}={}) {
+export function single({target, select, join, match, args, mutate, cost, cache, cardinality="strict", nonNull=false}={}) {
+    if (cardinalityPolicies.indexOf(cardinality) === -1) {
+        throw new Error("cardinality must be one of: " + cardinalityPolicies.join(", "));
+    }
     return new Relationship({
         target,
         select,
         join,
+        match,
         args,
-        processResults: singleValue,
-        wrapType: type => type
+        mutate,
+        cost,
+        cache,
+        processResults: singleValue(target, {cardinality, nonNull}),
+        wrapType: type => nonNull ? new GraphQLNonNull(type) : type,
+        // Extracted values are only non-null if both the instance and the
+        // field are.
+        wrapExtractedType: type => nonNull ? type : getNullableType(type)
     });
 }
 
-function singleValue(values) {
-    if (values.length === 0) {
-        return null;
-    } else if (values.length === 1) {
-        return values[0];
-    } else {
-        throw new Error("TODO");
-    }
+const cardinalityPolicies = ["strict", "first", "nullIfAmbiguous"];
+
+function singleValue(target, {cardinality, nonNull}) {
+    return (values, request, joinValues) => {
+        const fieldName = requestedFieldName(request);
+        if (values.length === 0) {
+            if (nonNull) {
+                throw new Error(
+                    "Expected one " + target._name + " for " + fieldName +
+                    " with join values " + JSON.stringify(joinValues) + " but found none"
+                );
+            }
+            return null;
+        } else if (values.length === 1 || cardinality === "first") {
+            return values[0];
+        } else if (cardinality === "nullIfAmbiguous" && !nonNull) {
+            return null;
+        } else {
+            throw new Error(
+                "Expected at most one " + target._name + " for " + fieldName +
+                " with join values " + JSON.stringify(joinValues) + " but found " + values.length
+            );
+        }
+    };
 }
 
 class RelationshipResults {
     constructor(options) {
         this._results = new JoinMap(options.results);
         this._processResults = options.processResults;
+        this._join = options.join;
         this._parentJoinKeys = options.parentJoinKeys;
+        this._match = options.match;
+        this._parentMatchKeys = options.parentMatchKeys;
+        this._matchIndexes = new WeakMap();
+        this._request = options.request;
+        this._window = options.window;
     }
 
-    get(parent) {
+    // `request` may be any request that was merged into the fetched request.
+    get(parent, request=this._request) {
         const parentJoinValues = this._parentJoinValues(parent);
-        const values = this._results.get(parentJoinValues, []);
-        return this._processResults(values);
+        let values = this._results.get(parentJoinValues, []);
+        if (this._match) {
+            values = this._matchIndex(values).get(this._parentMatchKeys.map(key => parent[key]));
+        }
+        const joinValues = zipObject(Object.keys(this._join), parentJoinValues);
+        return this._processResults(this._applyWindow(values), request, joinValues);
+    }
+
+    // Children with the same join values are shared by many parents, so each
+    // index is built once.
+    _matchIndex(children) {
+        if (!this._matchIndexes.has(children)) {
+            this._matchIndexes.set(children, this._match.index(children));
+        }
+        return this._matchIndexes.get(children);
+    }
+
+    _applyWindow(values) {
+        if (this._window === null) {
+            return values;
+        } else {
+            const {offset, limit} = this._window;
+            return values.slice(offset, limit == null ? undefined : offset + limit);
+        }
     }
 
     _parentJoinValues(parent) {
@@ -70,46 +279,252 @@ class Relationship {
         this._target = options.target;
         this._select = options.select;
         this._join = options.join || {};
-        this.args = options.args || {};
+        this._through = options.through;
+        // The fields of the parent that are joined on, which are joined
+        // to the association type rather than the target when using `through`.
+        this._parentJoin = this._through ? this._through.join : this._join;
+        this._match = options.match;
+        if (this._match && this._through) {
+            throw new Error("Relationships using through cannot use match");
+        }
+        this._args = options.args || {};
+        this._resolvedArgs = null;
+        // Relationships derived using `extract()` or `aggregate()` share the
+        // parent of the original relationship, so that the original is bound
+        // even if it isn't a field itself.
+        this._parent = options.parent || {joinType: null};
+        this._mutate = options.mutate;
+        this._window = options.window;
+        this.cost = options.cost;
+        this._cache = options.cache;
         this._processResults = options.processResults;
         this._wrapType = options.wrapType;
-        this._parentJoinKeys = map(this._join, (childKey, parentKey) => "_graphjoiner_joinToChildrenKey_" + parentKey);
+        this._wrapExtractedType = options.wrapExtractedType || options.wrapType;
+        this._parentJoinKeys = map(this._parentJoin, (childKey, parentKey) => "_graphjoiner_joinToChildrenKey_" + parentKey);
+        this._parentMatchKeys = this._match
+            ? this._match.parentFields.map(fieldName => "_graphjoiner_matchToChildrenKey_" + fieldName)
+            : [];
     }
     
+    // Arguments may be given as a function so that they can depend on
+    // fields of the target that haven't been generated yet.
+    get args() {
+        if (this._resolvedArgs === null) {
+            this._resolvedArgs = isFunction(this._args) ? this._args() : this._args;
+        }
+        return this._resolvedArgs;
+    }
+
+    // The join type that this relationship is a field of, which adapters
+    // use to join onto the parent query.
+    parentJoinType() {
+        if (this._parent.joinType === null) {
+            throw new Error("Relationship to " + this._target._name + " is not a field of a join type");
+        }
+        return this._parent.joinType;
+    }
+
     parentJoinSelections(parent) {
         const fields = parent.fields();
-        return zip(map(this._join, (childKey, parentKey) => parentKey), this._parentJoinKeys).map(([fieldName, key]) => (createRequest({
+        const fieldNames = Object.keys(this._parentJoin).concat(this._match ? this._match.parentFields : []);
+        return zip(fieldNames, this._parentJoinKeys.concat(this._parentMatchKeys)).map(([fieldName, key]) => (createRequest({
             field: fields[fieldName],
             key: key
         })));
     }
 
-    fetch(request, selectParent) {
+    // `parents` are the results of the parent fetch, which are used to find
+    // cached children. If not given, the cache isn't used.
+    fetch(request, selectParent, parents) {
+        const window = this._requestWindow(request);
+        const cache = this._cache || this._target.cache;
+        const fetchResults = () => this._fetchTarget(request, selectParent, parents, window);
+        let results;
+        if (parents !== undefined && parents.length === 0 && !this._mutate) {
+            // Without any parents, there are no children to fetch.
+            results = Promise.resolve([]);
+        } else if (cache && !this._mutate && parents !== undefined) {
+            results = cache.fetch(this, request, parents.map(parent => this._parentJoinValues(parent)), fetchResults);
+        } else {
+            results = fetchResults();
+        }
+        return results.then(results =>
+            new RelationshipResults({
+                results,
+                join: this._parentJoin,
+                parentJoinKeys: this._parentJoinKeys,
+                match: this._match,
+                parentMatchKeys: this._parentMatchKeys,
+                processResults: this._processResults,
+                request: request,
+                window: this._selectsWindow(window) ? null : window
+            })
+        );
+    }
+
+    _fetchTarget(request, selectParent, parents, window) {
+        const parent = this._mutate
+            ? instrument(request, {type: this._target._name, operation: "mutate"}, () => this._mutate(request.args, request.context))
+            : Promise.resolve(selectParent);
+        const parentJoinValues = parents === undefined ? undefined : uniqJoinValues(parents.map(parent =>
+            zipObject(Object.keys(this._parentJoin), this._parentJoinValues(parent))
+        ));
+        return parent.then(parent => this._through
+            ? this._fetchThrough(request, parent, window, parentJoinValues)
+            : this._fetchChildren(request, parent, window, parentJoinValues)
+        );
+    }
+
+    _fetchChildren(request, selectParent, window, parentJoinValues) {
+        return instrument(
+            request,
+            {type: this._target._name, operation: "select"},
+            () => this._selectTarget(request, selectParent, window, parentJoinValues)
+        ).then(select =>
+            this._target.fetch(this._targetRequest(request), select)
+        ).then(children => this._match ? children.map(child => ({
+            joinValues: child.joinValues.slice(0, this._parentJoinKeys.length),
+            value: {value: child.value, matchValues: child.joinValues.slice(this._parentJoinKeys.length)}
+        })) : children);
+    }
+
+    // The rows of the association type are fetched first, and then used both
+    // to select the children and to find the parents of each child.
+    _fetchThrough(request, selectParent, window, parentJoinValues) {
+        const through = this._through;
+        const parentJoinCount = Object.keys(through.join).length;
+        return instrument(
+            request,
+            {type: through.target._name, operation: "select"},
+            () => through.select(request.args, selectParent, request.context, parentJoinValues)
+        ).then(selectThrough =>
+            through.target.fetch(this._throughRequest(request), selectThrough).then(associations => {
+                if (associations.length === 0) {
+                    return [];
+                }
+                const throughJoinValues = uniqJoinValues(associations.map(association =>
+                    zipObject(Object.keys(this._join), association.joinValues.slice(parentJoinCount))
+                ));
+                const associationParents = new JoinMap(associations.map(association => ({
+                    joinValues: association.joinValues.slice(parentJoinCount),
+                    value: association.joinValues.slice(0, parentJoinCount)
+                })));
+                return this._fetchChildren(request, selectThrough, window, throughJoinValues).then(children =>
+                    flatMap(children, child => associationParents.get(child.joinValues, []).map(joinValues => ({
+                        value: child.value,
+                        joinValues: joinValues
+                    })))
+                );
+            })
+        );
+    }
+
+    _throughRequest(request) {
+        const fields = this._through.target.joinFields();
+        return {
+            ...request,
+            selections: [],
+            joinSelections: map(this._through.join, throughKey => createRequest({
+                field: fields[throughKey],
+                key: "_graphjoiner_joinToParentKey_" + throughKey
+            })).concat(map(this._join, (childKey, throughKey) => createRequest({
+                field: fields[throughKey],
+                key: "_graphjoiner_joinToChildrenKey_" + throughKey
+            })))
+        };
+    }
+
+    _parentJoinValues(parent) {
+        return this._parentJoinKeys.map(joinKey => parent[joinKey]);
+    }
+
+    explain(request, selectParent) {
+        if (this._mutate) {
+            throw new Error("Cannot explain relationships that mutate");
+        }
+        const window = this._requestWindow(request);
+        const through = this._through
+            ? this._explainThrough(request, selectParent)
+            : Promise.resolve({select: selectParent, plan: {}});
+        return through.then(through => this._selectTarget(request, through.select, window)
+            .then(select => this._target.explain(this._targetRequest(request), select))
+            .then(fetches => ({
+                key: request.key,
+                args: request.args,
+                join: this._join,
+                ...through.plan,
+                window: window,
+                fetches: fetches
+            }))
+        );
+    }
+
+    _explainThrough(request, selectParent) {
+        const through = this._through;
+        return Promise.resolve(through.select(request.args, selectParent, request.context)).then(selectThrough =>
+            through.target.explain(this._throughRequest(request), selectThrough).then(fetches => ({
+                select: selectThrough,
+                plan: {through: {join: through.join, fetches: fetches}}
+            }))
+        );
+    }
+
+    _targetRequest(request) {
         const joinFields = this._target.joinFields();
-        const childRequest = {
+        return {
             ...request,
             joinSelections: map(this._join, childKey => createRequest({
                 field: joinFields[childKey],
                 key: "_graphjoiner_joinToParentKey_" + childKey
-            }))
+            })).concat((this._match ? this._match.childFields : []).map(childKey => createRequest({
+                field: joinFields[childKey],
+                key: "_graphjoiner_matchToParentKey_" + childKey
+            })))
         };
-        return Promise.resolve(this._select(request.args, selectParent)).then(select =>
-            this._target.fetch(childRequest, select)
-        )
-        .then(results =>
-            new RelationshipResults({
-                results,
-                parentJoinKeys: this._parentJoinKeys,
-                processResults: this._processResults
-            })
-        );
     }
 
-    toGraphQLField() {
+    _selectTarget(request, parent, window, parentJoinValues) {
+        const joinFields = this._target.joinFields();
+        return Promise.resolve(this._select(request.args, parent, request.context, parentJoinValues))
+            .then(select => this._selectsWindow(window) ? this._target.selectWindow(
+                select,
+                {...window, partitionBy: map(this._join, childKey => joinFields[childKey])},
+                request.context
+            ) : select);
+    }
+
+    // If the target can't select windows for each parent, we fetch all
+    // children and apply the window afterwards. The children of
+    // relationships using `through` or `match` can't be partitioned by parent
+    // using the join fields of the target.
+    _selectsWindow(window) {
+        return window !== null && !this._through && !this._match && !!this._target.selectWindow;
+    }
+
+    _requestWindow(request) {
+        const window = this._window ? this._window(request.args) : null;
+        if (window && (window.offset || window.limit != null)) {
+            return {offset: window.offset || 0, limit: window.limit == null ? null : window.limit};
+        } else {
+            return null;
+        }
+    }
+
+    toGraphQLField({limits}={}) {
         // TODO: differentiate between root and non-root types properly
-        const resolve = Object.keys(this._join).length !== 0 ? resolveField : (source, args, context, info) => {
-            const request = requestFromGraphqlAst(info.fieldNodes[0], this._target, this, info.variableValues, info.fragments);
-            return this.fetch(request, null).then(results => results.get([]));
+        const resolve = this._parentJoinKeys.length + this._parentMatchKeys.length !== 0 ? resolveField : (source, args, context, info) => {
+            const request = requestFromGraphqlAst(
+                info.fieldNodes[0],
+                this._target,
+                this,
+                info.variableValues,
+                info.fragments,
+                context,
+                [],
+                info.schema
+            );
+            checkLimits(createRequest({selections: [request]}), limits);
+            return this.fetch(request, null, [{}]).then(results => results.get([]));
         };
         return {
             type: this._wrapType(this._target.toGraphQLType()),
@@ -119,14 +534,298 @@ class Relationship {
     }
 }
 
+export function connection({target, select, join, args, mutate, cost, cache}={}) {
+    return new Relationship({
+        target: connectionJoinType(target),
+        select,
+        join,
+        args: () => ({...connectionArgs, ...(isFunction(args) ? args() : args)}),
+        mutate,
+        cost,
+        cache,
+        processResults: connectionResult,
+        wrapType: type => type
+    });
+}
+
+const connectionArgs = {
+    first: {type: GraphQLInt},
+    after: {type: GraphQLString},
+    last: {type: GraphQLInt},
+    before: {type: GraphQLString}
+};
+
+const connectionJoinTypes = new WeakMap();
+
+function connectionJoinType(nodeType) {
+    // Each node type has a single connection type so that the GraphQL type
+    // names are unique.
+    if (!connectionJoinTypes.has(nodeType)) {
+        connectionJoinTypes.set(nodeType, new ConnectionJoinType(nodeType));
+    }
+    return connectionJoinTypes.get(nodeType);
+}
+
+function connectionResult(nodes, request) {
+    const {edges, pageInfo} = sliceConnection(nodes, request.args);
+    return readSelections({edges, pageInfo}, request.selections, {
+        edges: (edges, selection) => edges.map(edge => readSelections(edge, selection.selections)),
+        pageInfo: (pageInfo, selection) => readSelections(pageInfo, selection.selections)
+    });
+}
+
+function readSelections(obj, selections, readers={}) {
+    return fromPairs(selections.map(selection => {
+        if (selection.field instanceof ComputedField) {
+            return [selection.key, selection.field.computeValue(selection, obj)];
+        }
+        const name = selection.field.name;
+        const value = obj[name];
+        return [selection.key, readers[name] ? readers[name](value, selection) : value];
+    }));
+}
+
+function sliceConnection(nodes, {first, after, last, before}) {
+    if (first != null && first < 0) {
+        throw new Error("first must not be negative");
+    }
+    if (last != null && last < 0) {
+        throw new Error("last must not be negative");
+    }
+    const lowerBound = after == null ? 0 : cursorToOffset(after) + 1;
+    const upperBound = before == null ? nodes.length : Math.min(cursorToOffset(before), nodes.length);
+
+    let startOffset = lowerBound;
+    let endOffset = upperBound;
+    if (first != null) {
+        endOffset = Math.min(endOffset, startOffset + first);
+    }
+    if (last != null) {
+        startOffset = Math.max(startOffset, endOffset - last);
+    }
+
+    const edges = nodes.slice(startOffset, Math.max(startOffset, endOffset)).map((node, index) => ({
+        cursor: offsetToCursor(startOffset + index),
+        node: node
+    }));
+    return {
+        edges: edges,
+        pageInfo: {
+            startCursor: edges.length === 0 ? null : edges[0].cursor,
+            endCursor: edges.length === 0 ? null : edges[edges.length - 1].cursor,
+            hasPreviousPage: last != null && startOffset > lowerBound,
+            hasNextPage: first != null && endOffset < upperBound
+        }
+    };
+}
+
+const cursorPrefix = "connection:";
+
+function offsetToCursor(offset) {
+    return Buffer.from(cursorPrefix + offset).toString("base64");
+}
+
+function cursorToOffset(cursor) {
+    const decoded = Buffer.from(cursor, "base64").toString();
+    const offset = parseInt(decoded.slice(cursorPrefix.length), 10);
+    if (decoded.indexOf(cursorPrefix) !== 0 || isNaN(offset)) {
+        throw new Error("Invalid cursor: " + cursor);
+    }
+    return offset;
+}
+
+// The types of a connection aren't backed by fetchImmediates: instead, the
+// values are built from the list of nodes by connectionResult().
+class ConnectionObjectType {
+    constructor(options) {
+        this._name = options.name;
+        this._fields = options.fields;
+    }
+
+    fields() {
+        return this._fields;
+    }
+
+    interfaces() {
+        return [];
+    }
+
+    typeNameField() {
+        return typeNameField(this);
+    }
+
+    toGraphQLType() {
+        if (!this._graphQLType) {
+            this._graphQLType = new GraphQLObjectType({
+                name: this._name,
+                fields: () => mapValues(this.fields(), field => field.toGraphQLField())
+            });
+        }
+        return this._graphQLType;
+    }
+}
+
+function connectionField(name, target, type) {
+    return {
+        name: name,
+        _target: target,
+        toGraphQLField() {
+            return {
+                type: type(),
+                resolve: resolveField
+            };
+        }
+    };
+}
+
+let pageInfoType = null;
+
+function pageInfoJoinType() {
+    if (pageInfoType === null) {
+        pageInfoType = new ConnectionObjectType({
+            name: "PageInfo",
+            fields: {
+                hasNextPage: field({name: "hasNextPage", type: new GraphQLNonNull(GraphQLBoolean)}),
+                hasPreviousPage: field({name: "hasPreviousPage", type: new GraphQLNonNull(GraphQLBoolean)}),
+                startCursor: field({name: "startCursor", type: GraphQLString}),
+                endCursor: field({name: "endCursor", type: GraphQLString})
+            }
+        });
+    }
+    return pageInfoType;
+}
+
+class ConnectionJoinType extends ConnectionObjectType {
+    constructor(nodeType) {
+        const edgeType = new ConnectionObjectType({
+            name: nodeType._name + "Edge",
+            fields: {
+                cursor: field({name: "cursor", type: new GraphQLNonNull(GraphQLString)}),
+                node: connectionField("node", nodeType, () => nodeType.toGraphQLType())
+            }
+        });
+        const pageInfo = pageInfoJoinType();
+        super({
+            name: nodeType._name + "Connection",
+            fields: {
+                edges: connectionField("edges", edgeType, () => new GraphQLList(edgeType.toGraphQLType())),
+                pageInfo: connectionField("pageInfo", pageInfo, () => new GraphQLNonNull(pageInfo.toGraphQLType()))
+            }
+        });
+        this._nodeType = nodeType;
+    }
+
+    joinFields() {
+        return this._nodeType.joinFields();
+    }
+
+    get cache() {
+        return this._nodeType.cache;
+    }
+
+    fetch(request, select) {
+        return this._nodeType.fetch(this._nodeRequest(request), select);
+    }
+
+    explain(request, select) {
+        return this._nodeType.explain(this._nodeRequest(request), select);
+    }
+
+    _nodeRequest(request) {
+        const nodeRequests = flatMap(
+            request.selections.filter(selection => selection.field.name === "edges"),
+            edgesRequest => edgesRequest.selections.filter(selection => selection.field.name === "node")
+        );
+        return {
+            ...request,
+            selections: uniqBy(flatMap(nodeRequests, nodeRequest => nodeRequest.selections), "key"),
+            typeSelections: mergeTypeSelections(nodeRequests)
+        };
+    }
+}
+
+function mergeTypeSelections(requests) {
+    const typeSelections = {};
+    requests.forEach(request => {
+        forEach(request.typeSelections, (selections, typeName) => {
+            typeSelections[typeName] = uniqBy((typeSelections[typeName] || []).concat(selections), "key");
+        });
+    });
+    return typeSelections;
+}
+
+// Requests for the same relationship with the same arguments, such as the
+// same field under different aliases, are grouped so that they're only
+// fetched once. Each group has the merged `request` to fetch, and the
+// original `requests`.
+function groupDuplicateRequests(requests) {
+    const groups = [];
+    requests.forEach(request => {
+        const merged = request.field._mutate ? null : find(
+            groups.map(group => [group, mergeRequests([group.request, request])]),
+            ([group, mergedRequest]) => mergedRequest !== null
+        );
+        if (merged) {
+            const [group, mergedRequest] = merged;
+            group.request = mergedRequest;
+            group.requests.push(request);
+        } else {
+            groups.push({request: request, requests: [request]});
+        }
+    });
+    return groups;
+}
+
+// Returns null if the requests can't be merged, either because they're for
+// different fields or arguments, or because the same key is used for
+// different fields in their selections.
+function mergeRequests(requests) {
+    const [first] = requests;
+    if (!requests.every(request => request.field === first.field && isEqual(request.args, first.args))) {
+        return null;
+    }
+
+    const selections = mergeSelections(flatMap(requests, request => request.selections));
+    if (selections === null) {
+        return null;
+    }
+    if (!first.typeSelections) {
+        return {...first, selections};
+    }
+
+    const typeNames = uniq(flatMap(requests, request => Object.keys(request.typeSelections)));
+    const typeSelections = fromPairs(typeNames.map(typeName => [
+        typeName,
+        mergeSelections(flatMap(requests, request => request.typeSelections[typeName] || []))
+    ]));
+    if (some(typeSelections, selections => selections === null)) {
+        return null;
+    }
+    return {...first, selections, typeSelections};
+}
+
+function mergeSelections(selections) {
+    const selectionsByKey = groupBy(selections, "key");
+    const merged = uniq(selections.map(selection => selection.key))
+        .map(key => mergeRequests(selectionsByKey[key]));
+    return merged.indexOf(null) === -1 ? merged : null;
+}
+
 export function extract(relationship, fieldName) {
     return new Relationship({
         target: new ScalarJoinType(relationship._target, fieldName),
         processResults: relationship._processResults,
-        wrapType: relationship._wrapType,
+        wrapType: relationship._wrapExtractedType,
+        wrapExtractedType: relationship._wrapExtractedType,
+        window: relationship._window,
         select: relationship._select,
         join: relationship._join,
-        args: relationship.args,
+        through: relationship._through,
+        match: relationship._match,
+        args: relationship._args,
+        cost: relationship.cost,
+        cache: relationship._cache,
+        parent: relationship._parent
     });
 }
 
@@ -140,6 +839,15 @@ class ScalarJoinType {
         return this._target.fields()[this._fieldName];
     }
     
+    // Scalar fields are named after the type they're extracted from.
+    get _name() {
+        if (this._field instanceof Relationship) {
+            return this._field._target._name;
+        } else {
+            return this._target._name;
+        }
+    }
+
     fields() {
         if (this._field instanceof Relationship) {
             return this._field._target.fields();
@@ -147,24 +855,52 @@ class ScalarJoinType {
             return {};
         }
     }
-    
+
+    interfaces() {
+        if (this._field instanceof Relationship) {
+            return this._field._target.interfaces();
+        } else {
+            return [];
+        }
+    }
+
+    typeNameField() {
+        return this._field._target.typeNameField();
+    }
+
     joinFields() {
         return this._target.joinFields();
     }
+
+    get selectWindow() {
+        return this._target.selectWindow;
+    }
+
+    get cache() {
+        return this._target.cache;
+    }
     
     fetch(request, select) {
+        return this._target.fetch(this._targetRequest(request), select).then(results =>
+            results.map(result => ({
+                value: result.value[this._fieldName],
+                joinValues: result.joinValues
+            }))
+        );
+    }
+
+    explain(request, select) {
+        return this._target.explain(this._targetRequest(request), select);
+    }
+
+    _targetRequest(request) {
         const fieldRequest = createRequest({
             key: this._fieldName,
             field: this._field,
             selections: request.selections,
             context: request.context
         });
-        return this._target.fetch({...request, selections: [fieldRequest]}, select).then(results =>
-            results.map(result => ({
-                value: result.value[this._fieldName],
-                joinValues: result.joinValues
-            }))
-        );
+        return {...request, selections: [fieldRequest]};
     }
     
     toGraphQLType() {
@@ -172,53 +908,281 @@ class ScalarJoinType {
     }
 }
 
+export function aggregate(relationship, aggregateFunction, fieldName=null) {
+    if (!aggregateFunctions.hasOwnProperty(aggregateFunction)) {
+        throw new Error("aggregate function must be one of: " + Object.keys(aggregateFunctions).join(", "));
+    }
+    if (fieldName === null && aggregateFunction !== "count") {
+        throw new Error("aggregate function " + aggregateFunction + " requires a field name");
+    }
+    return new Relationship({
+        target: new AggregateJoinType(relationship._target, aggregateFunction, fieldName),
+        processResults: aggregateFunctions[aggregateFunction].combine,
+        wrapType: type => type,
+        select: relationship._select,
+        join: relationship._join,
+        through: relationship._through,
+        match: relationship._match,
+        args: () => nonWindowArgs(relationship),
+        cost: relationship.cost,
+        cache: relationship._cache,
+        parent: relationship._parent
+    });
+}
+
+// The window isn't applied to aggregates, so neither are the arguments that
+// the window reads. Those arguments are found by calling the window with every
+// argument set to null, as it is when the argument isn't given.
+function nonWindowArgs(relationship) {
+    if (!relationship._window) {
+        return relationship.args;
+    }
+    const windowArgNames = new Set();
+    const args = {};
+    Object.keys(relationship.args).forEach(argName => {
+        Object.defineProperty(args, argName, {
+            enumerable: true,
+            get: () => {
+                windowArgNames.add(argName);
+                return null;
+            }
+        });
+    });
+    relationship._window(args);
+    return pickBy(relationship.args, (arg, argName) => !windowArgNames.has(argName));
+}
+
+const aggregateKey = "_graphjoiner_aggregate";
+
+// Each result of fetching an aggregate is the aggregate for a distinct set of
+// join values, so a parent may have many results, such as when joining
+// through an association type. These results are combined for each parent by
+// the `processResults` of the relationship.
+class AggregateJoinType {
+    constructor(target, aggregateFunction, fieldName) {
+        this._target = target;
+        this._function = aggregateFunction;
+        this._fieldName = fieldName;
+    }
+
+    get _name() {
+        return this._target._name;
+    }
+
+    get _field() {
+        return this._fieldName === null ? null : this._target.fields()[this._fieldName];
+    }
+
+    fields() {
+        return {};
+    }
+
+    interfaces() {
+        return [];
+    }
+
+    joinFields() {
+        return this._target.joinFields();
+    }
+
+    get cache() {
+        return this._target.cache;
+    }
+
+    // If the target can't fetch aggregates, its values are fetched and
+    // aggregated instead.
+    fetch(request, select) {
+        if (this._target.fetchAggregates) {
+            return instrument(
+                request,
+                {operation: "fetchAggregates", type: this._name},
+                () => this._target.fetchAggregates(this._aggregate(), request.joinSelections, select, request.context),
+                rows => ({rowCount: rows.length})
+            ).then(rows => rows.map(row => ({
+                value: row[aggregateKey],
+                joinValues: request.joinSelections.map(selection => row[selection.key])
+            })));
+        } else {
+            const {reduce} = aggregateFunctions[this._function];
+            return this._target.fetch(this._targetRequest(request), select).then(results =>
+                map(groupBy(results, result => JSON.stringify(result.joinValues)), group => ({
+                    value: reduce(group.map(result => this._fieldName === null ? true : result.value[aggregateKey])),
+                    joinValues: group[0].joinValues
+                }))
+            );
+        }
+    }
+
+    explain(request, select) {
+        if (this._target.fetchAggregates) {
+            return Promise.resolve([{
+                type: this._name,
+                aggregate: this._function,
+                selections: request.joinSelections.map(selection => selection.key),
+                query: this._target.explainAggregates
+                    ? this._target.explainAggregates(this._aggregate(), request.joinSelections, select, request.context)
+                    : undefined,
+                relationships: []
+            }]);
+        } else {
+            return this._target.explain(this._targetRequest(request), select);
+        }
+    }
+
+    _aggregate() {
+        return {function: this._function, field: this._field, key: aggregateKey};
+    }
+
+    _targetRequest(request) {
+        // Values are aggregated before any transform, as when using
+        // `fetchAggregates`.
+        const field = this._field;
+        const selections = field === null ? [] : [createRequest({
+            key: aggregateKey,
+            field: field.transform === undefined ? field : {...field, transform: undefined},
+            context: request.context
+        })];
+        return {...request, selections: selections};
+    }
+
+    toGraphQLType() {
+        return aggregateFunctions[this._function].type(this._fieldName === null ? null : this._field.toGraphQLField().type);
+    }
+}
+
 export class JoinType {
     constructor(options) {
         this._name = options.name;
         this.fetchImmediates = options.fetchImmediates;
+        this.selectWindow = options.selectWindow;
+        this.explainImmediates = options.explainImmediates;
+        this.fetchAggregates = options.fetchAggregates;
+        this.explainAggregates = options.explainAggregates;
+        this.cache = options.cache;
         this._generateFields = options.fields;
         this._fields = null;
+        this._generateInterfaces = options.interfaces || (() => []);
+        this._interfaces = null;
     }
 
     fields() {
         if (this._fields === null) {
             // TODO: add name to field definitions?
             this._fields = this._generateFields();
+            forEach(this._fields, field => {
+                if (field instanceof Relationship) {
+                    field._parent.joinType = this;
+                }
+            });
         }
         return this._fields;
     }
+
+    interfaces() {
+        if (this._interfaces === null) {
+            this._interfaces = this._generateInterfaces();
+        }
+        return this._interfaces;
+    }
     
     joinFields() {
         return this.fields();
     }
 
+    typeNameField() {
+        return typeNameField(this);
+    }
+
     fetch(request, select) {
-        const fields = this.fields();
+        const {relationshipSelections, computedSelections, immediateSelections} = this._partitionSelections(request);
+        return instrument(
+            request,
+            {operation: "fetchImmediates", type: this._name},
+            () => this.fetchImmediates(immediateSelections, select, request.context),
+            results => ({rowCount: results.length})
+        ).then(results => {
+            computedSelections.forEach(selection => {
+                results.forEach(result => {
+                    result[selection.key] = selection.field.computeValue(selection, result, request.context);
+                });
+            });
+            return this._fetchRelationships(relationshipSelections, select, results).then(() => results.map(result => ({
+                value: fromPairs(request.selections.map(selection => [
+                    selection.key,
+                    transformValue(selection, result[selection.key], request.context)
+                ])),
+                joinValues: request.joinSelections.map(selection => result[selection.key])
+            })));
+        });
+    }
 
-        const [relationshipSelections, requestedImmediateSelections] = partition(
+    explain(request, select) {
+        const {relationshipSelections, immediateSelections} = this._partitionSelections(request);
+        return Promise.all(groupDuplicateRequests(relationshipSelections).map(({request}) =>
+            request.field.explain(request, select)
+        )).then(relationships => [{
+            type: this._name,
+            selections: immediateSelections.map(selection => selection.key),
+            query: this.explainImmediates ? this.explainImmediates(immediateSelections, select, request.context) : undefined,
+            relationships: relationships
+        }]);
+    }
+
+    _partitionSelections(request) {
+        const [relationshipSelections, fieldSelections] = partition(
             request.selections,
             selection => selection.field instanceof Relationship
         );
+        const [computedSelections, requestedImmediateSelections] = partition(
+            fieldSelections,
+            selection => selection.field instanceof ComputedField
+        );
         
         const joinToChildrenSelections = flatMap(
             relationshipSelections,
             selection => selection.field.parentJoinSelections(this)
         );
+        const dependencySelections = flatMap(
+            computedSelections,
+            selection => selection.field.dependencySelections(this)
+        );
         const immediateSelections = uniqBy(
-            requestedImmediateSelections.concat(request.joinSelections).concat(joinToChildrenSelections),
+            requestedImmediateSelections
+                .concat(request.joinSelections)
+                .concat(joinToChildrenSelections)
+                .concat(dependencySelections),
             "key"
         );
-        return Promise.resolve(this.fetchImmediates(immediateSelections, select)).then(results => {
-            return Promise.all(map(relationshipSelections, fieldRequest => {
-                return fieldRequest.field.fetch(fieldRequest, select).then(children => {
-                    results.forEach(result => {
-                        result[fieldRequest.key] = children.get(result);
-                    })
+        return {relationshipSelections, computedSelections, immediateSelections};
+    }
+
+    _fetchRelationships(relationshipSelections, select, results) {
+        return Promise.all(map(groupDuplicateRequests(relationshipSelections), ({request, requests}) =>
+            this._fetchRelationship(request, select, results, requests)
+        ));
+    }
+
+    // `fieldRequest` is fetched once, and then the results are read for
+    // each of `requests`, which must have been merged into `fieldRequest`.
+    _fetchRelationship(fieldRequest, select, results, requests=[fieldRequest]) {
+        // Errors are stored in place of the value so that other fields can
+        // still be returned.
+        return fieldRequest.field.fetch(fieldRequest, select, results).then(children => {
+            requests.forEach(request => {
+                results.forEach(result => {
+                    try {
+                        result[request.key] = children.get(result, request);
+                    } catch (error) {
+                        result[request.key] = error;
+                    }
                 });
-            })).then(() => results.map(result => ({
-                value: fromPairs(request.selections.map(selection => [selection.key, result[selection.key]])),
-                joinValues: request.joinSelections.map(selection => result[selection.key])
-            })));
+            });
+        }, error => {
+            requests.forEach(request => {
+                results.forEach(result => {
+                    result[request.key] = error;
+                });
+            });
         });
     }
 
@@ -226,7 +1190,121 @@ export class JoinType {
         if (!this._graphQLType) {
             this._graphQLType = new GraphQLObjectType({
                 name: this._name,
-                fields: () => mapValues(this.fields(), field => field.toGraphQLField())
+                fields: () => mapValues(this.fields(), field => field.toGraphQLField()),
+                interfaces: () => this.interfaces().map(joinType => joinType.toGraphQLType())
+            });
+        }
+        return this._graphQLType;
+    }
+}
+
+class AbstractJoinType {
+    constructor(options) {
+        this._name = options.name;
+        this._generatePossibleTypes = options.types;
+        this._possibleTypes = null;
+        this._selectForType = options.selectForType || ((type, select) => select);
+        this.cache = options.cache;
+    }
+
+    possibleTypes() {
+        if (this._possibleTypes === null) {
+            this._possibleTypes = this._generatePossibleTypes();
+        }
+        return this._possibleTypes;
+    }
+
+    interfaces() {
+        return [];
+    }
+
+    fetch(request, select) {
+        return Promise.all(this.possibleTypes().map(type =>
+            Promise.resolve(this._selectForType(type, select, request.context))
+                .then(typeSelect => type.fetch(this._typeRequest(type, request), typeSelect))
+                .then(results => results.map(result => ({
+                    ...result,
+                    value: setValueType(result.value, type)
+                })))
+        )).then(flatten);
+    }
+
+    explain(request, select) {
+        return Promise.all(this.possibleTypes().map(type =>
+            Promise.resolve(this._selectForType(type, select, request.context))
+                .then(typeSelect => type.explain(this._typeRequest(type, request), typeSelect))
+        )).then(flatten);
+    }
+
+    _typeRequest(type, request) {
+        const joinFields = this.joinFields();
+        const typeJoinFields = type.joinFields();
+        return {
+            ...request,
+            selections: (request.typeSelections || {})[type._name] || [],
+            joinSelections: request.joinSelections.map(selection => ({
+                ...selection,
+                field: typeJoinFields[findKey(joinFields, field => field === selection.field)]
+            }))
+        };
+    }
+
+    _resolveType(value) {
+        return valueType(value).toGraphQLType();
+    }
+}
+
+export class InterfaceJoinType extends AbstractJoinType {
+    constructor(options) {
+        super(options);
+        this._generateFields = options.fields;
+        this._fields = null;
+    }
+
+    fields() {
+        if (this._fields === null) {
+            this._fields = this._generateFields();
+        }
+        return this._fields;
+    }
+
+    joinFields() {
+        return this.fields();
+    }
+
+    toGraphQLType() {
+        if (!this._graphQLType) {
+            this._graphQLType = new GraphQLInterfaceType({
+                name: this._name,
+                fields: () => mapValues(this.fields(), field => field.toGraphQLField()),
+                resolveType: value => this._resolveType(value)
+            });
+        }
+        return this._graphQLType;
+    }
+}
+
+export class UnionJoinType extends AbstractJoinType {
+    fields() {
+        return {};
+    }
+
+    joinFields() {
+        // Only fields with the same name on every possible type can be used
+        // to join.
+        const [firstType, ...otherTypes] = this.possibleTypes();
+        return pickBy(
+            firstType.joinFields(),
+            (field, fieldName) => every(otherTypes, type => fieldName in type.joinFields())
+        );
+    }
+
+    toGraphQLType() {
+        if (!this._graphQLType) {
+            this._graphQLType = new GraphQLUnionType({
+                name: this._name,
+                types: () => this.possibleTypes().map(type => type.toGraphQLType()),
+                resolveType: value => this._resolveType(value)
             });
         }
         return this._graphQLType;
@@ -239,12 +1317,88 @@ export function field(options) {
         toGraphQLField() {
             return {
                 type: options.type,
+                args: options.args,
                 resolve: resolveField
             };
         }
     };
 };
 
+export function computed(options) {
+    return new ComputedField(options);
+}
+
+class ComputedField {
+    constructor(options) {
+        Object.assign(this, options);
+        this.dependencies = options.dependencies || [];
+    }
+
+    dependencySelections(parent) {
+        const fields = parent.fields();
+        return this.dependencies.map(fieldName => {
+            const field = fields[fieldName];
+            if (field === undefined || field instanceof Relationship || field instanceof ComputedField) {
+                throw new Error("Computed fields can only depend on immediate fields, but " + parent._name + "." + fieldName + " is not an immediate field");
+            }
+            return createRequest({
+                field: field,
+                key: dependencyKey(fieldName)
+            });
+        });
+    }
+
+    computeValue(request, result, context) {
+        const values = fromPairs(this.dependencies.map(fieldName => [fieldName, result[dependencyKey(fieldName)]]));
+        return valueOrError(() => this.compute(values, request.args, context));
+    }
+
+    toGraphQLField() {
+        return {
+            type: this.type,
+            args: this.args,
+            resolve: resolveField
+        };
+    }
+}
+
+const typeNameFields = new WeakMap();
+
+// `__typename` is requested in the same way as other fields, but isn't
+// included in the fields of the type since it's implicitly on every type.
+function typeNameField(joinType) {
+    if (!typeNameFields.has(joinType)) {
+        typeNameFields.set(joinType, computed({
+            name: "__typename",
+            type: new GraphQLNonNull(GraphQLString),
+            compute: () => joinType._name
+        }));
+    }
+    return typeNameFields.get(joinType);
+}
+
+function dependencyKey(fieldName) {
+    return "_graphjoiner_dependency_" + fieldName;
+}
+
+function transformValue(request, value, context) {
+    const transform = request.field.transform;
+    if (transform === undefined || value instanceof Error) {
+        return value;
+    }
+    return valueOrError(() => transform(value, request.args, context));
+}
+
+// As with relationships, errors are stored in place of the value so that
+// other fields can still be returned.
+function valueOrError(getValue) {
+    try {
+        return getValue();
+    } catch (error) {
+        return error;
+    }
+}
+
 function resolveField(source, args, context, info) {
     return source[requestedFieldKey(info.fieldNodes[0])];
 }
@@ -255,5 +1409,30 @@ export class RootJoinType extends JoinType {
             ...options,
             fetchImmediates: () => [{}]
         });
+        this.limits = options.limits || {};
+    }
+
+    toGraphQLType() {
+        if (!this._graphQLType) {
+            // When using graphql(), each root field is fetched separately,
+            // so the limits are checked separately for each root field.
+            this._graphQLType = new GraphQLObjectType({
+                name: this._name,
+                fields: () => mapValues(this.fields(), field => field.toGraphQLField({limits: this.limits}))
+            });
+        }
+        return this._graphQLType;
+    }
+}
+
+export class MutationRootJoinType extends RootJoinType {
+    _fetchRelationships(relationshipSelections, select, results) {
+        // Mutations are executed serially, in the order they were requested.
+        return relationshipSelections.reduce(
+            (previous, fieldRequest) => previous.then(() =>
+                this._fetchRelationship(fieldRequest, select, results)
+            ),
+            Promise.resolve()
+        );
     }
 }
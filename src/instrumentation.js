@@ -0,0 +1,85 @@
+/**
+ * Runs `run`, notifying each of the instrumentation hooks on the request
+ * when it starts and when it ends or fails. Returns a promise of the value
+ * returned by `run`.
+ *
+ * Each hook is an object with any of the methods `onStart(event)`,
+ * `onEnd(event)` and `onError(event)`, where each event has the properties
+ * `operation`, `type`, `path` and `args`. Events passed to `onEnd` and
+ * `onError` also have the `duration` in nanoseconds, and either the properties
+ * returned by `describeResult` or the `error`.
+ */
+export function instrument(request, details, run, describeResult=() => ({})) {
+    const hooks = request.instrumentation;
+    if (hooks.length === 0) {
+        return new Promise(resolve => resolve(run()));
+    }
+
+    const event = {...details, path: request.path, args: request.args};
+    notify(hooks, "onStart", event);
+    const start = process.hrtime();
+    return new Promise(resolve => resolve(run())).then(
+        result => {
+            notify(hooks, "onEnd", {...event, ...describeResult(result), duration: elapsedNanoseconds(start)});
+            return result;
+        },
+        error => {
+            notify(hooks, "onError", {...event, error, duration: elapsedNanoseconds(start)});
+            throw error;
+        }
+    );
+}
+
+function notify(hooks, method, event) {
+    hooks.forEach(hook => {
+        if (hook[method]) {
+            hook[method](event);
+        }
+    });
+}
+
+/**
+ * Creates an instrumentation hook that records the duration of each fetch in
+ * a format similar to Apollo Tracing. `result()` returns the trace, which
+ * should be called once the operation has finished executing.
+ */
+export function createTracer() {
+    const startTime = new Date();
+    const start = process.hrtime();
+    const fetches = [];
+
+    function record(event) {
+        fetches.push({
+            path: event.path,
+            operation: event.operation,
+            type: event.type,
+            rowCount: event.rowCount,
+            startOffset: elapsedNanoseconds(start) - event.duration,
+            duration: event.duration
+        });
+    }
+
+    return {
+        hook: {
+            onEnd: record,
+            onError: record
+        },
+
+        result() {
+            return {
+                version: 1,
+                startTime: startTime.toISOString(),
+                endTime: new Date().toISOString(),
+                duration: elapsedNanoseconds(start),
+                execution: {
+                    fetches: fetches
+                }
+            };
+        }
+    };
+}
+
+function elapsedNanoseconds(start) {
+    const [seconds, nanoseconds] = process.hrtime(start);
+    return seconds * 1e9 + nanoseconds;
+}
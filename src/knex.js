@@ -0,0 +1,175 @@
+import { castArray, map } from "lodash";
+
+import { JoinType, field, many as manyRelationship, single as singleRelationship } from "./index";
+
+/**
+ * Helpers for defining join types backed by tables queried using Knex.
+ *
+ * Knex query builders are thenable, so would be run as soon as they were
+ * returned from `select`. Instead, the selectors passed between join types
+ * are functions that create a new query builder, which is only run when the
+ * immediate fields of a join type are fetched.
+ */
+export class KnexJoinType extends JoinType {
+    constructor(options) {
+        const {knex, transaction, tableName, primaryKey="id"} = options;
+        super({
+            ...options,
+            fetchImmediates: fetchImmediatesFromQuery(tableName, castArray(primaryKey)),
+            explainImmediates: (selections, selectQuery) => {
+                const {sql, bindings} = immediatesQuery(tableName, castArray(primaryKey), selections, selectQuery).toSQL();
+                return {sql, bindings};
+            }
+        });
+        this.knex = knex;
+        this._transaction = transaction;
+        this.tableName = tableName;
+        this.fetchAggregates = (aggregate, selections, selectQuery, context) =>
+            fetchAggregatesFromQuery(this.knexFor(context), tableName, castArray(primaryKey))(aggregate, selections, selectQuery);
+        this.explainAggregates = (aggregate, selections, selectQuery, context) => {
+            const {sql, bindings} = aggregatesQuery(this.knexFor(context), tableName, castArray(primaryKey), aggregate, selections, selectQuery).toSQL();
+            return {sql, bindings};
+        };
+        this.selectWindow = (selectQuery, window, context) =>
+            () => windowQuery(this.knexFor(context), tableName, castArray(primaryKey), window, selectQuery);
+    }
+
+    // Queries for a request are built using the transaction for its context,
+    // if there is one, so that they see any changes made by the transaction.
+    knexFor(context) {
+        const transaction = this._transaction ? this._transaction(context) : null;
+        return transaction == null ? this.knex : transaction;
+    }
+
+    column(fieldName) {
+        return this.tableName + "." + this.fields()[fieldName].columnName;
+    }
+}
+
+export function fetchImmediatesFromQuery(tableName, primaryKey) {
+    return (selections, selectQuery) => immediatesQuery(tableName, primaryKey, selections, selectQuery);
+}
+
+function immediatesQuery(tableName, primaryKey, selections, selectQuery) {
+    const requestedColumns = selections.map(selection =>
+        tableName + "." + selection.field.columnName + " as " + selection.key
+    );
+    // Only rows duplicated by joining onto the parent query share a primary
+    // key, so other rows are kept even if their requested values are equal.
+    const primaryKeyColumns = primaryKey.map(columnName =>
+        tableName + "." + columnName + " as _primaryKey_" + columnName
+    );
+    return selectQuery().distinct(...requestedColumns.concat(primaryKeyColumns));
+}
+
+export function fetchAggregatesFromQuery(knex, tableName, primaryKey) {
+    return (aggregate, selections, selectQuery) =>
+        aggregatesQuery(knex, tableName, primaryKey, aggregate, selections, selectQuery).then(rows =>
+            // Some databases return counts as strings since they may not fit
+            // into a JavaScript number.
+            aggregate.function === "count"
+                ? rows.map(row => ({...row, [aggregate.key]: Number(row[aggregate.key])}))
+                : rows
+        );
+}
+
+// The rows are selected in the same way as the immediates so that rows
+// duplicated by joining onto the parent query aren't counted more than once.
+function aggregatesQuery(knex, tableName, primaryKey, aggregate, selections, selectQuery) {
+    const valueSelections = aggregate.field === null ? [] : [{key: "_graphjoiner_aggregateValue", field: aggregate.field}];
+    const rows = immediatesQuery(tableName, primaryKey, selections.concat(valueSelections), selectQuery)
+        .as("_graphjoiner_rows");
+    const groupKeys = selections.map(selection => selection.key);
+    const query = knex.select(...groupKeys).from(rows);
+    if (groupKeys.length > 0) {
+        query.groupBy(...groupKeys);
+    }
+    const value = aggregate.field === null ? "*" : "_graphjoiner_aggregateValue";
+    return query[aggregate.function](value + " as " + aggregate.key);
+}
+
+// Rows are numbered within each partition in order of the primary key. The
+// numbered rows are aliased using the name of the table so that the columns
+// can be selected in the same way as from the table itself.
+function windowQuery(knex, tableName, primaryKey, {partitionBy, offset, limit}, selectQuery) {
+    const partitionColumns = partitionBy.map(field => tableName + "." + field.columnName);
+    const orderColumns = primaryKey.map(columnName => tableName + "." + columnName);
+    const partitionClause = partitionColumns.length === 0
+        ? ""
+        : "partition by " + partitionColumns.map(() => "??").join(", ") + " ";
+    const rowNumber = knex.raw(
+        "row_number() over (" + partitionClause + "order by " + orderColumns.map(() => "??").join(", ") + ") as ??",
+        partitionColumns.concat(orderColumns).concat(["_graphjoiner_rowNumber"])
+    );
+    const rows = selectQuery().select(tableName + ".*", rowNumber).as(tableName);
+    const query = knex.from(rows).where("_graphjoiner_rowNumber", ">", offset);
+    return limit === null ? query : query.where("_graphjoiner_rowNumber", "<=", offset + limit);
+}
+
+export function column(columnName, type) {
+    return field({columnName, type});
+}
+
+export function many(options) {
+    return relationship(manyRelationship, options);
+}
+
+export function single(options) {
+    return relationship(singleRelationship, options);
+}
+
+function relationship(createRelationship, {target, join={}, through, filter, joinUsing="subquery", ...options}) {
+    function select(args, selectParents, context, parentJoinValues) {
+        return () => {
+            const parentType = through ? () => through.target : () => relationshipField.parentJoinType();
+            const query = joinQuery(target, parentType, join, selectParents, context, parentJoinValues);
+            return filter ? filter(query, args, context) : query;
+        };
+    }
+
+    function selectThrough(args, selectParents, context, parentJoinValues) {
+        return () => joinQuery(through.target, () => relationshipField.parentJoinType(), through.join, selectParents, context, parentJoinValues);
+    }
+
+    function joinQuery(target, parentType, join, selectParents, context, parentJoinValues) {
+        const query = target.knexFor(context)(target.tableName);
+
+        const joinColumns = map(join, (childFieldName, parentFieldName) => [
+            parentType().column(parentFieldName),
+            target.column(childFieldName)
+        ]);
+        // The parent join values aren't available when explaining a query,
+        // in which case the subquery is used instead.
+        if (joinColumns.length > 0 && joinUsing === "values" && parentJoinValues !== undefined) {
+            const parentFieldNames = Object.keys(join);
+            const childColumns = joinColumns.map(([parentColumn, childColumn]) => childColumn);
+            if (childColumns.length === 1) {
+                query.whereIn(childColumns[0], parentJoinValues.map(values => values[parentFieldNames[0]]));
+            } else {
+                query.whereIn(childColumns, parentJoinValues.map(values =>
+                    parentFieldNames.map(fieldName => values[fieldName])
+                ));
+            }
+        } else if (joinColumns.length > 0) {
+            const parents = selectParents()
+                .distinct(...joinColumns.map(([parentColumn], index) => parentColumn + " as _graphjoiner_join_" + index))
+                .as("_graphjoiner_parents");
+            query.join(parents, function() {
+                joinColumns.forEach(([parentColumn, childColumn], index) => {
+                    this.on("_graphjoiner_parents._graphjoiner_join_" + index, "=", childColumn);
+                });
+            });
+        }
+
+        return query;
+    }
+
+    const relationshipField = createRelationship({
+        ...options,
+        target,
+        join,
+        through: through && {...through, select: selectThrough},
+        select
+    });
+    return relationshipField;
+}
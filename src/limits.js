@@ -0,0 +1,64 @@
+import { flatten, isFunction, sum, values } from "lodash";
+
+/**
+ * Checks the request for an operation against the limits
+ * `{maxDepth, maxRelationships, maxCost}`, throwing an error if any limit is
+ * exceeded. Limits that aren't set aren't checked.
+ *
+ * Since the request is checked before anything is fetched, a query that
+ * exceeds a limit never reaches `select` or `fetchImmediates`.
+ */
+export function checkLimits(request, {maxDepth, maxRelationships, maxCost}={}) {
+    const fieldRequests = childRequests(request);
+
+    checkLimit("depth", maxOf(fieldRequests.map(requestDepth)), maxDepth);
+    checkLimit("number of relationships", sum(fieldRequests.map(countRelationships)), maxRelationships);
+    checkLimit("cost", sum(fieldRequests.map(requestCost)), maxCost);
+}
+
+function checkLimit(description, value, limit) {
+    if (limit != null && value > limit) {
+        throw new Error("Query " + description + " of " + value + " exceeds maximum " + description + " of " + limit);
+    }
+}
+
+// The depth of a field is the number of nested selection sets, so a scalar
+// field has a depth of zero.
+function requestDepth(request) {
+    const children = childRequests(request);
+    return children.length === 0 ? 0 : 1 + maxOf(children.map(requestDepth));
+}
+
+function countRelationships(request) {
+    return (isRelationship(request.field) ? 1 : 0) + sum(childRequests(request).map(countRelationships));
+}
+
+function requestCost(request) {
+    return fieldCost(request) + sum(childRequests(request).map(requestCost));
+}
+
+// Unless a field specifies its own cost, each relationship costs one, since
+// each relationship results in a separate fetch, and other fields are free.
+function fieldCost({field, args}) {
+    if (field.cost === undefined) {
+        return isRelationship(field) ? 1 : 0;
+    } else if (isFunction(field.cost)) {
+        return field.cost(args);
+    } else {
+        return field.cost;
+    }
+}
+
+function isRelationship(field) {
+    return isFunction(field.fetch);
+}
+
+function childRequests(request) {
+    return request.typeSelections
+        ? flatten(values(request.typeSelections))
+        : request.selections;
+}
+
+function maxOf(numbers) {
+    return numbers.length === 0 ? 0 : Math.max(...numbers);
+}
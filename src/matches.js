@@ -0,0 +1,143 @@
+import { castArray } from "lodash";
+
+import JoinMap from "./JoinMap";
+
+/**
+ * Matches describe how to find the children of each parent when a
+ * relationship can't be expressed solely as equality of its `join` fields.
+ *
+ * Each match has the properties `parentFields` and `childFields`, the names
+ * of the fields whose values are compared, and `index(children)`. `index` is
+ * passed the children that have the same `join` values as a set of parents,
+ * as objects `{matchValues, value}`, and returns an object with a method
+ * `get(parentMatchValues)` that returns the values of the children that
+ * match a parent, in the order the children were fetched.
+ */
+
+/**
+ * Matches children to parents when `matches(parentMatchValues, childMatchValues)`
+ * returns true. Each parent is compared against every child.
+ */
+export function predicateMatch({parentFields, childFields, matches}) {
+    return {
+        parentFields,
+        childFields,
+        index: children => ({
+            get: parentValues => children
+                .filter(child => matches(parentValues, child.matchValues))
+                .map(child => child.value)
+        })
+    };
+}
+
+/**
+ * Matches children to parents when `key` returns equal values for the values
+ * of the parent and child fields. Null values aren't passed to `key`.
+ */
+export function keyMatch({parent, child, key}) {
+    function keys(values) {
+        return values.map(value => value == null ? value : key(value));
+    }
+
+    return {
+        parentFields: castArray(parent),
+        childFields: castArray(child),
+        index: children => {
+            const childrenByKey = new JoinMap(children.map(child => ({
+                joinValues: keys(child.matchValues),
+                value: child.value
+            })));
+            return {
+                get: parentValues => childrenByKey.get(keys(parentValues), [])
+            };
+        }
+    };
+}
+
+/**
+ * Matches children to parents when the value of the parent field `parent`
+ * is in the range given by the child fields `from` (inclusive) and `to`
+ * (exclusive). A null `from` or `to` leaves that end of the range unbounded.
+ */
+export function rangeMatch({parent, from, to}) {
+    return {
+        parentFields: [parent],
+        childFields: [from, to],
+        index: children => {
+            const ranges = children
+                .map((child, position) => ({
+                    from: child.matchValues[0],
+                    to: child.matchValues[1],
+                    position: position,
+                    value: child.value
+                }))
+                .sort((first, second) => compareFrom(first.from, second.from) || first.position - second.position);
+
+            // Since the ranges are sorted by their start, searching backwards
+            // from the last range that starts before a value can stop once
+            // none of the earlier ranges end after the value.
+            const latestTo = [];
+            ranges.forEach((range, index) => {
+                latestTo.push(index === 0 ? range.to : laterTo(latestTo[index - 1], range.to));
+            });
+
+            return {
+                get: ([value]) => {
+                    if (value == null) {
+                        return [];
+                    }
+                    const matching = [];
+                    for (let index = countStartingBy(ranges, value) - 1; index >= 0; index--) {
+                        if (latestTo[index] != null && latestTo[index] <= value) {
+                            break;
+                        }
+                        const range = ranges[index];
+                        if (range.to == null || value < range.to) {
+                            matching.push(range);
+                        }
+                    }
+                    return matching
+                        .sort((first, second) => first.position - second.position)
+                        .map(range => range.value);
+                }
+            };
+        }
+    };
+}
+
+function compareFrom(first, second) {
+    if (first == null || second == null) {
+        return (first == null ? -1 : 0) - (second == null ? -1 : 0);
+    } else if (first < second) {
+        return -1;
+    } else if (first > second) {
+        return 1;
+    } else {
+        return 0;
+    }
+}
+
+function laterTo(first, second) {
+    if (first == null || second == null) {
+        return null;
+    } else {
+        return first > second ? first : second;
+    }
+}
+
+// Finds the number of ranges that start at or before `value` using a binary
+// search.
+function countStartingBy(ranges, value) {
+    let low = 0;
+    let high = ranges.length;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const from = ranges[middle].from;
+        if (from == null || from <= value) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
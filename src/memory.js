@@ -0,0 +1,126 @@
+import { flatMap, fromPairs, groupBy, isFunction, map, orderBy } from "lodash";
+import { GraphQLList, GraphQLString } from "graphql";
+
+import { JoinType, field, many as manyRelationship, single as singleRelationship } from "./index";
+
+/**
+ * Helpers for defining join types backed by in-memory arrays of objects.
+ * The selectors passed between join types are arrays of the objects
+ * for each type.
+ */
+export class ArrayJoinType extends JoinType {
+    constructor(options) {
+        super({
+            selectWindow,
+            ...options,
+            fetchImmediates: fetchImmediatesFromObjs
+        });
+        this._rows = options.rows;
+    }
+
+    rows(context) {
+        return isFunction(this._rows) ? this._rows(context) : this._rows;
+    }
+
+    propertyName(fieldName) {
+        const field = this.fields()[fieldName];
+        if (field === undefined || field.propertyName === undefined) {
+            throw new Error(this._name + "." + fieldName + " is not a property");
+        }
+        return field.propertyName;
+    }
+}
+
+export function fetchImmediatesFromObjs(selections, objs) {
+    return objs.map(obj => fromPairs(selections.map(selection => [
+        selection.key,
+        obj[selection.field.propertyName]
+    ])));
+}
+
+function selectWindow(objs, {partitionBy, offset, limit}) {
+    const partitions = groupBy(objs, obj => joinKey(partitionBy.map(field => obj[field.propertyName])));
+    return flatMap(partitions, partition => partition.slice(offset, limit == null ? undefined : offset + limit));
+}
+
+export function property(propertyName, type) {
+    return field({propertyName, type});
+}
+
+export function many(options) {
+    return relationship(manyRelationship, options);
+}
+
+export function single(options) {
+    return relationship(singleRelationship, options);
+}
+
+function relationship(createRelationship, {target, join={}, filter, filterBy=[], orderBy: orderByFields=[], args={}, ...options}) {
+    function select(args, parentObjs, context) {
+        return Promise.resolve(target.rows(context)).then(objs => {
+            objs = joinToParents(objs, parentObjs);
+            objs = filterByArgs(objs, args);
+            if (filter) {
+                objs = filter(objs, args, context);
+            }
+            return orderByArgs(objs, args);
+        });
+    }
+
+    function joinToParents(objs, parentObjs) {
+        if (Object.keys(join).length === 0) {
+            return objs;
+        }
+        const parentPropertyNames = map(join, (childFieldName, parentFieldName) => relationshipField.parentJoinType().propertyName(parentFieldName));
+        const childPropertyNames = map(join, childFieldName => target.propertyName(childFieldName));
+        const parentKeys = new Set(parentObjs.map(parentObj =>
+            joinKey(parentPropertyNames.map(propertyName => parentObj[propertyName]))
+        ));
+        return objs.filter(obj =>
+            parentKeys.has(joinKey(childPropertyNames.map(propertyName => obj[propertyName])))
+        );
+    }
+
+    function filterByArgs(objs, args) {
+        return filterBy.reduce((objs, fieldName) => {
+            const value = args[fieldName];
+            if (value == null) {
+                return objs;
+            } else {
+                const propertyName = target.propertyName(fieldName);
+                return objs.filter(obj => obj[propertyName] === value);
+            }
+        }, objs);
+    }
+
+    function orderByArgs(objs, args) {
+        if (args.orderBy == null) {
+            return objs;
+        }
+        const orderings = args.orderBy.map(ordering => {
+            const descending = ordering.startsWith("-");
+            const fieldName = descending ? ordering.slice(1) : ordering;
+            if (orderByFields.indexOf(fieldName) === -1) {
+                throw new Error("Cannot order by " + fieldName);
+            }
+            return [target.propertyName(fieldName), descending ? "desc" : "asc"];
+        });
+        return orderBy(objs, orderings.map(ordering => ordering[0]), orderings.map(ordering => ordering[1]));
+    }
+
+    function relationshipArgs() {
+        const filterArgs = fromPairs(filterBy.map(fieldName => [
+            fieldName,
+            {type: target.fields()[fieldName].type}
+        ]));
+        const orderByArgs = orderByFields.length === 0 ? {} : {orderBy: {type: new GraphQLList(GraphQLString)}};
+        return {...filterArgs, ...orderByArgs, ...args};
+    }
+
+    const relationshipField = createRelationship({...options, target, join, select, args: relationshipArgs});
+    return relationshipField;
+}
+
+function joinKey(values) {
+    return JSON.stringify(values);
+}
@@ -1,8 +1,9 @@
-import { cloneDeep, keyBy, map } from "lodash";
-import { getArgumentValues } from "graphql/execution/values";
+import { cloneDeep, find, flatMap, fromPairs, keyBy, map, uniq } from "lodash";
+import { getArgumentValues, getVariableValues } from "graphql/execution/values";
 import { GraphQLIncludeDirective, GraphQLSkipDirective } from "graphql/type/directives";
+import { isAbstractType } from "graphql/type/definition";
 
-export function requestFromGraphqlDocument(document, root, variables) {
+export function requestFromGraphqlDocument(document, roots, {schema, variables, operationName, context, instrumentation}={}) {
     function definitionsOfKind(kind) {
         return document.definitions.filter(definition => definition.kind === kind);
     }
@@ -12,24 +13,129 @@ export function requestFromGraphqlDocument(document, root, variables) {
         definition => definition.name.value
     );
     
-    const query = single(definitionsOfKind("OperationDefinition"));
+    const operation = findOperation(definitionsOfKind("OperationDefinition"), operationName);
+    const root = roots[operation.operation];
+    if (!root) {
+        throw new Error("Schema does not support " + operation.operation + " operations");
+    }
     
-    return requestFromGraphqlAst(query, root, null, variables, fragments);
+    return {
+        root: root,
+        request: requestFromGraphqlAst(
+            operation,
+            root,
+            null,
+            getVariableValues(schema, operation.variableDefinitions || [], variables || {}),
+            fragments,
+            context,
+            instrumentation,
+            schema
+        )
+    };
+}
+
+const introspectionFieldNames = ["__schema", "__type"];
+
+function isIntrospectionField(ast) {
+    return introspectionFieldNames.indexOf(requestedFieldName(ast)) !== -1;
 }
 
-export function requestFromGraphqlAst(ast, root, field, variables, fragments) {
-    return reader(variables, fragments)(ast, root, field);
+/**
+ * Returns a document containing only the introspection fields of the
+ * operation, or null if there are no introspection fields. The remaining
+ * fields are read into the request by `requestFromGraphqlDocument()`.
+ */
+export function introspectionDocument(document, {operationName}={}) {
+    const fragmentDefinitions = document.definitions.filter(definition => definition.kind === "FragmentDefinition");
+    const fragments = keyBy(fragmentDefinitions, definition => definition.name.value);
+    const operations = document.definitions.filter(definition => definition.kind === "OperationDefinition");
+    
+    // Fragment spreads are replaced with inline fragments so that fragments
+    // containing other fields can be left unchanged, since they may also be
+    // spread inside the introspection fields.
+    function pruneSelectionSet(selectionSet) {
+        const selections = flatMap(selectionSet.selections, selection => {
+            if (selection.kind === "Field") {
+                return isIntrospectionField(selection) ? [selection] : [];
+            } else {
+                const fragment = selection.kind === "FragmentSpread" ? fragments[selection.name.value] : selection;
+                const prunedSelectionSet = pruneSelectionSet(fragment.selectionSet);
+                return prunedSelectionSet.selections.length === 0 ? [] : [{
+                    kind: "InlineFragment",
+                    typeCondition: fragment.typeCondition,
+                    directives: selection.directives,
+                    selectionSet: prunedSelectionSet
+                }];
+            }
+        });
+        return {...selectionSet, selections};
+    }
+    
+    const operation = findOperation(operations, operationName);
+    const selectionSet = pruneSelectionSet(operation.selectionSet);
+    if (selectionSet.selections.length === 0) {
+        return null;
+    } else {
+        return {
+            ...document,
+            definitions: [{...operation, selectionSet}].concat(fragmentDefinitions)
+        };
+    }
 }
 
-function reader(variables, fragments) {
-    function readAst(ast, root, field) {
+/**
+ * Returns the keys of the fields of the operation in the order they should
+ * appear in the response.
+ */
+export function operationFieldKeys(document, {operationName}={}) {
+    const fragments = keyBy(
+        document.definitions.filter(definition => definition.kind === "FragmentDefinition"),
+        definition => definition.name.value
+    );
+    const operations = document.definitions.filter(definition => definition.kind === "OperationDefinition");
+    
+    function fieldKeys(selectionSet) {
+        return flatMap(selectionSet.selections, selection => {
+            if (selection.kind === "Field") {
+                return [requestedFieldKey(selection)];
+            } else if (selection.kind === "FragmentSpread") {
+                return fieldKeys(fragments[selection.name.value].selectionSet);
+            } else {
+                return fieldKeys(selection.selectionSet);
+            }
+        });
+    }
+    
+    return uniq(fieldKeys(findOperation(operations, operationName).selectionSet));
+}
+
+export function requestFromGraphqlAst(ast, root, field, variables, fragments, context, instrumentation, schema) {
+    return reader(variables, fragments, context, instrumentation, schema)(ast, root, field, []);
+}
+
+function reader(variables, fragments, context, instrumentation, schema) {
+    function readAst(ast, root, field, parentPath) {
         const isField = ast.kind === "Field";
-        return createRequest({
+        const key = isField ? requestedFieldKey(ast) : null;
+        const path = isField ? parentPath.concat([key]) : [];
+        const request = createRequest({
             field: field,
-            key: isField ? requestedFieldKey(ast) : null,
+            key: key,
             args: graphqlArgs(ast, field),
-            selections: graphqlSelections(ast, root)
+            fieldNodes: isField ? [ast] : [],
+            path: path,
+            context: context,
+            instrumentation: instrumentation
         });
+        if (ast.selectionSet && root.possibleTypes) {
+            request.typeSelections = fromPairs(root.possibleTypes().map(type => [
+                type._name,
+                graphqlSelections(ast, type, path)
+            ]));
+        } else {
+            request.selections = graphqlSelections(ast, root, path);
+        }
+        return request;
     }
     
     function graphqlArgs(ast, field) {
@@ -46,41 +152,63 @@ function reader(variables, fragments) {
         }
     }
 
-    function graphqlSelections(ast, root) {
+    function graphqlSelections(ast, root, path) {
         if (ast.selectionSet) {
             const fields = root.fields();
-            const fieldSelections = mergeFields(collectFields(ast));
+            // Introspection fields are executed by GraphQL rather than GraphJoiner.
+            const fieldSelections = mergeFields(collectFields(ast, root))
+                .filter(selection => !isIntrospectionField(selection));
             
             return fieldSelections.map(selection => {
-                const field = fields[requestedFieldName(selection)];
-                return readAst(selection, field._target, field);
+                const fieldName = requestedFieldName(selection);
+                const field = fieldName === "__typename" ? root.typeNameField() : fields[fieldName];
+                return readAst(selection, field._target, field, path);
             });
         } else {
             return [];
         }
     }
     
-    function collectFields(ast) {
+    function collectFields(ast, root) {
         const fieldSelections = [];
-        addFields(ast, fieldSelections);
+        addFields(ast, root, fieldSelections);
         return fieldSelections;
     }
     
-    function addFields(ast, fieldSelections) {
+    function addFields(ast, root, fieldSelections) {
         ast.selectionSet.selections.filter(shouldIncludeNode).forEach(selection => {
             if (selection.kind === "Field") {
                 fieldSelections.push(selection);
             } else if (selection.kind === "FragmentSpread") {
-                // TODO: handle type conditions
-                addFields(fragments[selection.name.value], fieldSelections);
+                const fragment = fragments[selection.name.value];
+                if (typeConditionMatches(fragment, root)) {
+                    addFields(fragment, root, fieldSelections);
+                }
             } else if (selection.kind === "InlineFragment") {
-                addFields(selection, fieldSelections);
+                if (typeConditionMatches(selection, root)) {
+                    addFields(selection, root, fieldSelections);
+                }
             } else {
                 throw new Error("Unknown selection: " + selection.kind);
             }
         });
     }
     
+    // Fragments apply to the type itself, and to any interface or union
+    // that the type is a possible type of.
+    function typeConditionMatches(fragment, root) {
+        if (root._name === undefined || !fragment.typeCondition) {
+            return true;
+        }
+        const conditionName = fragment.typeCondition.name.value;
+        if (conditionName === root._name) {
+            return true;
+        }
+        const conditionType = schema.getType(conditionName);
+        const rootType = schema.getType(root._name);
+        return isAbstractType(conditionType) && rootType !== undefined && schema.isPossibleType(conditionType, rootType);
+    }
+    
     function shouldIncludeNode(node) {
         for (let directiveIndex = 0; directiveIndex < node.directives.length; directiveIndex++) {
             const directive = node.directives[directiveIndex];
@@ -137,6 +265,10 @@ export function createRequest(request) {
         args: {},
         selections: [],
         joinSelections: [],
+        fieldNodes: [],
+        path: [],
+        context: undefined,
+        instrumentation: [],
         ...request
     };
 }
@@ -149,10 +281,18 @@ export function requestedFieldKey(ast) {
     return ast.alias ? ast.alias.value : requestedFieldName(ast);
 }
 
-function single(values) {
-    if (values.length === 1) {
-        return values[0];
+function findOperation(operations, operationName) {
+    if (operationName) {
+        const operation = find(operations, operation => operation.name && operation.name.value === operationName);
+        if (!operation) {
+            throw new Error("Unknown operation named \"" + operationName + "\"");
+        }
+        return operation;
+    } else if (operations.length === 1) {
+        return operations[0];
+    } else if (operations.length === 0) {
+        throw new Error("Must provide an operation");
     } else {
-        throw new Error("Expected 1 but got " + values.length);
+        throw new Error("Must provide operation name if query contains multiple operations");
     }
 }
@@ -0,0 +1,130 @@
+import { GraphQLError, GraphQLList, GraphQLNonNull, isAbstractType, isCompositeType } from "graphql";
+import { locatedError } from "graphql/error";
+import { mapValues } from "lodash";
+
+const valueTypeKey = "_graphjoiner_type";
+
+export function setValueType(value, type) {
+    Object.defineProperty(value, valueTypeKey, {value: type});
+    return value;
+}
+
+export function valueType(value) {
+    return value[valueTypeKey];
+}
+
+// Thrown when a non-null value is null, and caught by the nearest nullable
+// ancestor, which is then set to null.
+const nullPropagation = {};
+
+/**
+ * Given the request for an operation and the value fetched by the root,
+ * generates a response of the form `{data, errors}`.
+ *
+ * Fields that failed to fetch are set to an instance of `Error` by
+ * `JoinType.fetch()`. These fields are set to null and their errors are
+ * collected in `errors`, with the usual GraphQL nullability rules applied.
+ */
+export function completeResult(root, request, value) {
+    const errors = [];
+    let data;
+    try {
+        data = completeObject(request, resolveFields(request), root.toGraphQLType(), value, [], errors);
+    } catch (error) {
+        if (error === nullPropagation) {
+            data = null;
+        } else {
+            throw error;
+        }
+    }
+    return errors.length === 0 ? {data} : {data, errors};
+}
+
+function completeValue(parentType, request, fields, type, value, path, errors) {
+    if (value instanceof Error) {
+        errors.push(locatedError(value, request.fieldNodes, path));
+        if (type instanceof GraphQLNonNull) {
+            throw nullPropagation;
+        } else {
+            return null;
+        }
+    } else if (type instanceof GraphQLNonNull) {
+        const completed = completeNullableValue(parentType, request, fields, type.ofType, value, path, errors);
+        if (completed === null) {
+            if (value == null) {
+                errors.push(new GraphQLError(
+                    "Cannot return null for non-nullable field " + parentType.name + "." + requestedFieldName(request) + ".",
+                    request.fieldNodes,
+                    undefined,
+                    undefined,
+                    path
+                ));
+            }
+            throw nullPropagation;
+        }
+        return completed;
+    } else {
+        return completeNullableValue(parentType, request, fields, type, value, path, errors);
+    }
+}
+
+function completeNullableValue(parentType, request, fields, type, value, path, errors) {
+    try {
+        if (value == null) {
+            return null;
+        } else if (type instanceof GraphQLList) {
+            return value.map((element, index) =>
+                completeValue(parentType, request, fields, type.ofType, element, path.concat([index]), errors)
+            );
+        } else if (isCompositeType(type)) {
+            return completeObject(request, fields, type, value, path, errors);
+        } else {
+            return value;
+        }
+    } catch (error) {
+        if (error === nullPropagation) {
+            return null;
+        } else {
+            throw error;
+        }
+    }
+}
+
+function completeObject(request, fields, type, value, path, errors) {
+    const objectType = isAbstractType(type) ? valueType(value).toGraphQLType() : type;
+    const selectionFields = request.typeSelections
+        ? fields[objectType.name] || []
+        : fields;
+
+    const result = {};
+    selectionFields.forEach(({selection, type, fields}) => {
+        result[selection.key] = completeValue(
+            objectType,
+            selection,
+            fields,
+            type,
+            value[selection.key],
+            path.concat([selection.key]),
+            errors
+        );
+    });
+    return result;
+}
+
+// Resolves the output type of each selection once for each selection set,
+// rather than once for each value.
+function resolveFields(request) {
+    const resolveSelections = selections => selections.map(selection => ({
+        selection,
+        type: selection.field.toGraphQLField().type,
+        fields: resolveFields(selection)
+    }));
+    return request.typeSelections
+        ? mapValues(request.typeSelections, resolveSelections)
+        : resolveSelections(request.selections);
+}
+
+// The key may be an alias chosen by the client, so the field is named instead.
+export function requestedFieldName(request) {
+    return request.fieldNodes.length === 0 ? request.key : request.fieldNodes[0].name.value;
+}
@@ -0,0 +1,77 @@
+import { map } from "lodash";
+import sql from "sql-gen";
+
+import { JoinType, field, many as manyRelationship, single as singleRelationship } from "./index";
+
+/**
+ * Helpers for defining join types backed by tables defined using sql-gen.
+ * Queries are built using sql-gen, and then run using the `executeQuery`
+ * function passed to `SqlJoinType`.
+ */
+export class SqlJoinType extends JoinType {
+    constructor(options) {
+        super({
+            ...options,
+            fetchImmediates: fetchImmediatesFromQuery(options.table, options.executeQuery),
+            explainImmediates: (selections, query) => sql.compile(immediatesQuery(options.table, selections, query))
+        });
+        this.table = options.table;
+    }
+
+    column(fieldName) {
+        return this.table.c[this.fields()[fieldName].columnName];
+    }
+}
+
+export function fetchImmediatesFromQuery(table, executeQuery) {
+    return (selections, query, context) =>
+        executeQuery(immediatesQuery(table, selections, query), context);
+}
+
+function immediatesQuery(table, selections, query) {
+    const requestedColumns = selections.map(selection => table.c[selection.field.columnName].as(selection.key));
+    // Selecting the primary key means that distinct rows with the same
+    // requested values aren't collapsed into one, while duplicates
+    // caused by joining onto the parent query are removed.
+    const primaryKeyColumns = table.primaryKey === null ? [] : table.primaryKey.columns
+        .map(column => column.as("_primaryKey_" + column.key()));
+    const columns = requestedColumns.concat(primaryKeyColumns);
+    return query.select(...columns).distinct();
+}
+
+export function column(columnName, type) {
+    return field({columnName, type});
+}
+
+export function many(options) {
+    return relationship(manyRelationship, options);
+}
+
+export function single(options) {
+    return relationship(singleRelationship, options);
+}
+
+function relationship(createRelationship, {target, join={}, filter, ...options}) {
+    function select(args, parentQuery, context) {
+        let query = sql.from(target.table);
+
+        const joinColumns = map(join, (childFieldName, parentFieldName) => [
+            relationshipField.parentJoinType().column(parentFieldName),
+            target.column(childFieldName)
+        ]);
+        if (joinColumns.length > 0) {
+            const parents = parentQuery
+                .select(...joinColumns.map(([parentColumn], index) => parentColumn.as("_graphjoiner_join_" + index)))
+                .subquery();
+            joinColumns.forEach(([parentColumn, childColumn], index) => {
+                const condition = sql.eq(parents.c["_graphjoiner_join_" + index], childColumn);
+                query = index === 0 ? query.join(parents, condition) : query.where(condition);
+            });
+        }
+
+        return filter ? filter(query, args, context) : query;
+    }
+
+    const relationshipField = createRelationship({...options, target, join, select});
+    return relationshipField;
+}
@@ -0,0 +1,332 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, InterfaceJoinType, UnionJoinType, field, single, many, execute } from "../lib";
+import { allAuthors, fetchImmediatesFromObj } from "./fixtures";
+
+const allPublications = [
+    {type: "book", id: 1, title: "Leave It to Psmith", authorId: 1},
+    {type: "magazine", id: 2, title: "The Strand", issue: 26, authorId: 1},
+    {type: "book", id: 3, title: "Catch-22", authorId: 2}
+];
+
+function publicationsOfType(type, publications) {
+    const typeName = type === Book ? "book" : "magazine";
+    return publications.filter(publication => publication.type === typeName);
+}
+
+const Publication = new InterfaceJoinType({
+    name: "Publication",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt})
+        };
+    },
+
+    types: () => [Book, Magazine],
+
+    selectForType: publicationsOfType
+});
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            publications: many({
+                target: Publication,
+                select: () => allPublications,
+                join: {"id": "authorId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+function publicationFields() {
+    return {
+        id: field({name: "id", type: GraphQLInt}),
+        title: field({name: "title", type: GraphQLString}),
+        authorId: field({name: "authorId", type: GraphQLInt}),
+        author: single({
+            target: Author,
+            select: () => allAuthors,
+            join: {"authorId": "id"}
+        })
+    };
+}
+
+const Book = new JoinType({
+    name: "Book",
+
+    interfaces: () => [Publication],
+
+    fields: publicationFields,
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Magazine = new JoinType({
+    name: "Magazine",
+
+    interfaces: () => [Publication],
+
+    fields() {
+        return {
+            ...publicationFields(),
+            issue: field({name: "issue", type: GraphQLInt})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const SearchResult = new UnionJoinType({
+    name: "SearchResult",
+
+    types: () => [Author, Book],
+
+    selectForType: (type, {authors, publications}) =>
+        type === Author ? authors : publicationsOfType(type, publications)
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            publications: many({target: Publication, select: () => allPublications}),
+            search: many({
+                target: SearchResult,
+                select: args => ({
+                    authors: allAuthors.filter(author => author.name.indexOf(args.query) !== -1),
+                    publications: allPublications.filter(publication => publication.title.indexOf(args.query) !== -1)
+                }),
+                args: {query: {type: GraphQLString}}
+            }),
+            author: single({
+                target: Author,
+                select: args => allAuthors.filter(author => author.id === args.id),
+                args: {id: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType(),
+    types: [Book.toGraphQLType(), Magazine.toGraphQLType()]
+});
+
+const testCases = (execute) => ({
+    "interface fields are fetched for every possible type": () => {
+        const query = `
+            {
+                publications {
+                    title
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "publications": [
+                    {"title": "Leave It to Psmith"},
+                    {"title": "Catch-22"},
+                    {"title": "The Strand"}
+                ]
+            })
+        );
+    },
+
+    "type conditions on inline fragments only apply to matching types": () => {
+        const query = `
+            {
+                publications {
+                    title
+                    ... on Magazine {
+                        issue
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "publications": [
+                    {"title": "Leave It to Psmith"},
+                    {"title": "Catch-22"},
+                    {"title": "The Strand", "issue": 26}
+                ]
+            })
+        );
+    },
+
+    "type conditions on fragment spreads only apply to matching types": () => {
+        const query = `
+            {
+                search(query: "Ca") {
+                    ...AuthorFields
+                    ...BookFields
+                }
+            }
+
+            fragment AuthorFields on Author {
+                name
+            }
+
+            fragment BookFields on Book {
+                title
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "search": [
+                    {"title": "Catch-22"}
+                ]
+            })
+        );
+    },
+
+    "union fetches rows for each possible type": () => {
+        const query = `
+            {
+                search(query: "e") {
+                    ... on Author {
+                        name
+                    }
+                    ... on Book {
+                        title
+                        author {
+                            name
+                        }
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "search": [
+                    {"name": "PG Wodehouse"},
+                    {"name": "Joseph Heller"},
+                    {"title": "Leave It to Psmith", "author": {"name": "PG Wodehouse"}}
+                ]
+            })
+        );
+    },
+
+    "fragments on interface apply to implementing types": () => {
+        const query = `
+            {
+                search(query: "22") {
+                    ... on Publication {
+                        title
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "search": [
+                    {"title": "Catch-22"}
+                ]
+            })
+        );
+    },
+
+    "fragments on unions apply to possible types within interfaces": () => {
+        const query = `
+            {
+                publications {
+                    id
+                    ... on SearchResult {
+                        ... on Book {
+                            title
+                        }
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "publications": [
+                    {"id": 1, "title": "Leave It to Psmith"},
+                    {"id": 3, "title": "Catch-22"},
+                    {"id": 2}
+                ]
+            })
+        );
+    },
+
+    "relationships to interfaces are joined using interface fields": () => {
+        const query = `
+            {
+                author(id: 1) {
+                    publications {
+                        title
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "author": {
+                    "publications": [
+                        {"title": "Leave It to Psmith"},
+                        {"title": "The Strand"}
+                    ]
+                }
+            })
+        );
+    },
+
+    "__typename is the name of the concrete type": () => {
+        const query = `
+            {
+                search(query: "Ps") {
+                    __typename
+                    ... on Book {
+                        kind: __typename
+                        author {
+                            __typename
+                        }
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "search": [
+                    {"__typename": "Book", "kind": "Book", "author": {"__typename": "Author"}}
+                ]
+            })
+        );
+    }
+});
+
+exports["execute()"] = testCases(query =>
+    execute(Root, query).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    })
+);
+
+exports["graphql()"] = testCases(query =>
+    graphql(schema, query).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    })
+);
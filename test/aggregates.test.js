@@ -0,0 +1,284 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, many, aggregate, execute } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const authorRows = [
+    {id: 1, name: "PG Wodehouse"},
+    {id: 2, name: "Joseph Heller"},
+    {id: 3, name: "Anonymous"}
+];
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1, pageCount: 300},
+    {id: 2, title: "Right Ho, Jeeves", authorId: 1, pageCount: 250},
+    {id: 3, title: "Catch-22", authorId: 2, pageCount: null}
+];
+
+const allBookTags = [
+    {bookId: 1, tag: "comedy"},
+    {bookId: 2, tag: "comedy"},
+    {bookId: 3, tag: "comedy"},
+    {bookId: 3, tag: "war"}
+];
+
+const allTags = [
+    {name: "comedy"},
+    {name: "war"},
+    {name: "romance"}
+];
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        const books = many({
+            target: Book,
+            select: () => bookRows,
+            join: {"id": "authorId"}
+        });
+        const firstBooks = many({
+            target: Book,
+            select: () => bookRows,
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}},
+            window: args => ({limit: args.first})
+        });
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: books,
+            firstBooks: firstBooks,
+            bookCount: aggregate(books, "count"),
+            firstBookCount: aggregate(firstBooks, "count"),
+            pageCount: aggregate(books, "sum", "pageCount"),
+            pageCountDescription: aggregate(books, "sum", "pageCountDescription"),
+            shortestBook: aggregate(books, "min", "pageCount"),
+            lastTitle: aggregate(books, "max", "title")
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            pageCount: field({name: "pageCount", type: GraphQLInt}),
+            pageCountDescription: field({
+                name: "pageCount",
+                type: GraphQLString,
+                transform: pageCount => pageCount + " pages"
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const BookTag = new JoinType({
+    name: "BookTag",
+
+    fields() {
+        return {
+            bookId: field({name: "bookId", type: GraphQLInt}),
+            tag: field({name: "tag", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Tag = new JoinType({
+    name: "Tag",
+
+    fields() {
+        const books = many({
+            target: Book,
+            through: {
+                target: BookTag,
+                select: () => allBookTags,
+                join: {"name": "tag"}
+            },
+            select: () => bookRows,
+            join: {"bookId": "id"}
+        });
+        return {
+            name: field({name: "name", type: GraphQLString}),
+            bookCount: aggregate(books, "count"),
+            pageCount: aggregate(books, "sum", "pageCount")
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({target: Author, select: () => authorRows}),
+            tags: many({target: Tag, select: () => allTags})
+        };
+    }
+});
+
+exports["aggregates are calculated for each parent"] = () => {
+    const query = `
+        {
+            authors {
+                name
+                bookCount
+                pageCount
+                shortestBook
+                lastTitle
+            }
+        }
+    `;
+    return execute(Root, query).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            authors: [
+                {name: "PG Wodehouse", bookCount: 2, pageCount: 550, shortestBook: 250, lastTitle: "Right Ho, Jeeves"},
+                {name: "Joseph Heller", bookCount: 1, pageCount: null, shortestBook: null, lastTitle: "Catch-22"},
+                {name: "Anonymous", bookCount: 0, pageCount: null, shortestBook: null, lastTitle: null}
+            ]
+        });
+    });
+};
+
+exports["aggregates of relationships using through are combined for each parent"] = () => {
+    return execute(Root, "{ tags { name bookCount pageCount } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            tags: [
+                {name: "comedy", bookCount: 3, pageCount: 550},
+                {name: "war", bookCount: 1, pageCount: null},
+                {name: "romance", bookCount: 0, pageCount: null}
+            ]
+        });
+    });
+};
+
+exports["aggregates use the values of fields before they are transformed"] = () => {
+    return execute(Root, "{ authors { pageCountDescription } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            authors: [
+                {pageCountDescription: "550"},
+                {pageCountDescription: null},
+                {pageCountDescription: null}
+            ]
+        });
+    });
+};
+
+exports["aggregates of relationships with a window are of all related instances and have no window arguments"] = () => {
+    const fields = Author.toGraphQLType().getFields();
+    assert.deepEqual(fields.firstBooks.args.map(arg => arg.name), ["first"]);
+    assert.deepEqual(fields.firstBookCount.args, []);
+    return execute(Root, "{ authors { firstBookCount } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            authors: [
+                {firstBookCount: 2},
+                {firstBookCount: 1},
+                {firstBookCount: 0}
+            ]
+        });
+    });
+};
+
+exports["adapters can fetch aggregates grouped by the join values"] = () => {
+    const calls = [];
+    const AggregatedAuthor = new JoinType({
+        name: "Author",
+
+        fields() {
+            const books = many({
+                target: AggregatedBook,
+                select: () => bookRows,
+                join: {"id": "authorId"}
+            });
+            return {
+                id: field({name: "id", type: GraphQLInt}),
+                bookCount: aggregate(books, "count")
+            };
+        },
+
+        fetchImmediates: fetchImmediatesFromObj
+    });
+    const AggregatedBook = new JoinType({
+        name: "Book",
+
+        fields() {
+            return {
+                authorId: field({name: "authorId", type: GraphQLInt})
+            };
+        },
+
+        fetchImmediates: () => {
+            throw new Error("fetchImmediates should not be called");
+        },
+
+        fetchAggregates: (aggregate, selections, books) => {
+            calls.push({aggregate: aggregate.function, selections: selections.map(selection => selection.key)});
+            return [
+                {[selections[0].key]: 1, [aggregate.key]: 2},
+                {[selections[0].key]: 2, [aggregate.key]: 1}
+            ];
+        }
+    });
+    const AggregatedRoot = new RootJoinType({
+        name: "Query",
+
+        fields() {
+            return {
+                authors: many({target: AggregatedAuthor, select: () => authorRows})
+            };
+        }
+    });
+
+    return execute(AggregatedRoot, "{ authors { id bookCount } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            authors: [
+                {id: 1, bookCount: 2},
+                {id: 2, bookCount: 1},
+                {id: 3, bookCount: 0}
+            ]
+        });
+        assert.deepEqual(calls, [{aggregate: "count", selections: ["_graphjoiner_joinToParentKey_authorId"]}]);
+    });
+};
+
+exports["count is non-null and other aggregates have the nullable type of the field"] = () => {
+    const fields = Author.toGraphQLType().getFields();
+    assert.equal(String(fields.bookCount.type), "Int!");
+    assert.equal(String(fields.pageCount.type), "Int");
+    assert.equal(String(fields.lastTitle.type), "String");
+};
+
+exports["aggregate() throws error if aggregate function is not recognised"] = () => {
+    const books = many({target: Book, select: () => bookRows, join: {"id": "authorId"}});
+    assert.throws(
+        () => aggregate(books, "average", "pageCount"),
+        /^Error: aggregate function must be one of: count, sum, min, max$/
+    );
+};
+
+exports["aggregate() throws error if field name is missing for aggregates other than count"] = () => {
+    const books = many({target: Book, select: () => bookRows, join: {"id": "authorId"}});
+    assert.throws(
+        () => aggregate(books, "sum"),
+        /^Error: aggregate function sum requires a field name$/
+    );
+};
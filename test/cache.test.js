@@ -0,0 +1,233 @@
+import assert from "assert";
+
+import { fromPairs } from "lodash";
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, Cache, LruStore, field, many, execute } from "../lib";
+
+const allCountries = [
+    {code: "GB", name: "United Kingdom"},
+    {code: "FR", name: "France"}
+];
+
+const allCities = [
+    {name: "London", countryCode: "GB"},
+    {name: "Paris", countryCode: "FR"},
+    {name: "Lyon", countryCode: "FR"}
+];
+
+let fetches = [];
+
+function fetchImmediatesFromObj(name) {
+    return (selections, objs) => {
+        fetches.push(name);
+        return objs.map(obj => fromPairs(selections.map(selection => [
+            selection.key,
+            obj[selection.field.name]
+        ])));
+    };
+}
+
+const countriesCache = new Cache();
+const cityCache = new Cache({scope: context => context.language});
+let failCities = false;
+
+const Country = new JoinType({
+    name: "Country",
+
+    fields() {
+        return {
+            code: field({name: "code", type: GraphQLString}),
+            name: field({name: "name", type: GraphQLString}),
+            cities: many({
+                target: City,
+                select: () => {
+                    if (failCities) {
+                        throw new Error("Could not select cities");
+                    }
+                    return allCities;
+                },
+                join: {"code": "countryCode"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj("Country")
+});
+
+const City = new JoinType({
+    name: "City",
+
+    cache: cityCache,
+
+    fields() {
+        return {
+            name: field({name: "name", type: GraphQLString}),
+            countryCode: field({name: "countryCode", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj("City")
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            countries: many({
+                target: Country,
+                select: args => allCountries.filter(country => args.code == null || country.code === args.code),
+                args: {code: {type: GraphQLString}},
+                cache: countriesCache
+            })
+        };
+    }
+});
+
+function executeQuery(query, context={}) {
+    return execute(Root, query, {context}).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+}
+
+exports.beforeEach = () => {
+    fetches = [];
+    failCities = false;
+    countriesCache.invalidate();
+    cityCache.invalidate();
+};
+
+exports["relationship cache"] = {
+    "cached children are not fetched again": () => {
+        const query = "{ countries { name } }";
+        return executeQuery(query).then(() => executeQuery(query)).then(result => {
+            assert.deepEqual(fetches, ["Country"]);
+            assert.deepEqual(result, {
+                "countries": [{"name": "United Kingdom"}, {"name": "France"}]
+            });
+        });
+    },
+
+    "children are cached separately for different arguments and selections": () => {
+        return executeQuery('{ countries(code: "FR") { name } }')
+            .then(() => executeQuery("{ countries { name } }"))
+            .then(() => executeQuery("{ countries { code } }"))
+            .then(() => executeQuery('{ countries(code: "FR") { name } }'))
+            .then(result => {
+                assert.deepEqual(fetches, ["Country", "Country", "Country"]);
+                assert.deepEqual(result, {"countries": [{"name": "France"}]});
+            });
+    },
+
+    "invalidating cache causes children to be fetched again": () => {
+        const query = "{ countries { name } }";
+        return executeQuery(query).then(() => {
+            countriesCache.invalidate();
+            return executeQuery(query);
+        }).then(() => {
+            assert.deepEqual(fetches, ["Country", "Country"]);
+        });
+    },
+
+    "expired children are fetched again": () => {
+        const cache = new Cache({ttl: 0});
+        const ExpiringRoot = new RootJoinType({
+            name: "Query",
+
+            fields() {
+                return {
+                    countries: many({target: Country, select: () => allCountries, cache: cache})
+                };
+            }
+        });
+        const query = "{ countries { name } }";
+        return execute(ExpiringRoot, query).then(() => execute(ExpiringRoot, query)).then(() => {
+            assert.deepEqual(fetches, ["Country", "Country"]);
+        });
+    },
+
+    "children with errors are not cached": () => {
+        const query = "{ countries { cities { name } } }";
+        failCities = true;
+        return execute(Root, query).then(result => {
+            assert.equal(result.errors.length, 1);
+            failCities = false;
+            return executeQuery(query);
+        }).then(result => {
+            assert.deepEqual(fetches, ["Country", "Country", "City"]);
+            assert.deepEqual(result, {
+                "countries": [
+                    {"cities": [{"name": "London"}]},
+                    {"cities": [{"name": "Paris"}, {"name": "Lyon"}]}
+                ]
+            });
+        });
+    }
+};
+
+exports["join type cache"] = {
+    "cached children are joined onto parents": () => {
+        const query = "{ countries { name cities { name } } }";
+        return executeQuery(query, {language: "en"}).then(() => {
+            countriesCache.invalidate();
+            return executeQuery(query, {language: "en"});
+        }).then(result => {
+            assert.deepEqual(fetches, ["Country", "City", "Country"]);
+            assert.deepEqual(result, {
+                "countries": [
+                    {"name": "United Kingdom", "cities": [{"name": "London"}]},
+                    {"name": "France", "cities": [{"name": "Paris"}, {"name": "Lyon"}]}
+                ]
+            });
+        });
+    },
+
+    "children are fetched if any parent is not cached": () => {
+        return executeQuery('{ countries(code: "FR") { cities { name } } }', {language: "en"})
+            .then(() => executeQuery("{ countries { cities { name } } }", {language: "en"}))
+            .then(result => {
+                assert.deepEqual(fetches, ["Country", "City", "Country", "City"]);
+                assert.deepEqual(result, {
+                    "countries": [
+                        {"cities": [{"name": "London"}]},
+                        {"cities": [{"name": "Paris"}, {"name": "Lyon"}]}
+                    ]
+                });
+            });
+    },
+
+    "scope separates cached children": () => {
+        function executeForLanguage(language) {
+            countriesCache.invalidate();
+            return executeQuery('{ countries(code: "GB") { cities { name } } }', {language});
+        }
+        return executeForLanguage("en")
+            .then(() => executeForLanguage("fr"))
+            .then(() => executeForLanguage("en"))
+            .then(() => {
+                assert.deepEqual(fetches, ["Country", "City", "Country", "City", "Country"]);
+            });
+    }
+};
+
+exports["LruStore"] = {
+    "least recently used value is evicted when full": () => {
+        const store = new LruStore({maxSize: 2});
+        store.set("a", 1);
+        store.set("b", 2);
+        assert.equal(store.get("a"), 1);
+        store.set("c", 3);
+        assert.equal(store.get("a"), 1);
+        assert.equal(store.get("b"), undefined);
+        assert.equal(store.get("c"), 3);
+    },
+
+    "values can be deleted": () => {
+        const store = new LruStore();
+        store.set("a", 1);
+        store.delete("a");
+        assert.equal(store.get("a"), undefined);
+    }
+};
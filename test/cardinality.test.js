@@ -0,0 +1,245 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLNonNull, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, extract, execute } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const authorRows = [
+    {id: 1, name: "PG Wodehouse"},
+    {id: 2, name: "Joseph Heller"},
+    {id: 2, name: "Joe Heller"}
+];
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1},
+    {id: 2, title: "Catch-22", authorId: 2},
+    {id: 3, title: "Anonymous", authorId: 3}
+];
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+function author(options) {
+    return single({
+        target: Author,
+        select: () => authorRows,
+        join: {"authorId": "id"},
+        ...options
+    });
+}
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: author(),
+            authorName: extract(author(), "name"),
+            firstAuthor: author({cardinality: "first"}),
+            unambiguousAuthor: author({cardinality: "nullIfAmbiguous"}),
+            requiredAuthor: author({cardinality: "first", nonNull: true})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            books: many({target: Book, select: () => bookRows}),
+            book: single({
+                target: Book,
+                select: args => bookRows.filter(book => book.id === args.id),
+                args: {id: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "strict relationships report an error when there are multiple values": () => {
+        const query = `
+            {
+                books {
+                    title
+                    writer: author {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"title": "Leave It to Psmith", "writer": {"name": "PG Wodehouse"}},
+                        {"title": "Catch-22", "writer": null},
+                        {"title": "Anonymous", "writer": null}
+                    ]
+                },
+                errors: [
+                    {
+                        message: 'Expected at most one Author for author with join values {"authorId":2} but found 2',
+                        locations: [{line: 5, column: 21}],
+                        path: ["books", 1, "writer"]
+                    }
+                ]
+            })
+        );
+    },
+
+    "errors for extracted fields are named after the field": () => {
+        const query = `
+            {
+                book(id: 2) {
+                    authorName
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "book": {"authorName": null}
+                },
+                errors: [
+                    {
+                        message: 'Expected at most one Author for authorName with join values {"authorId":2} but found 2',
+                        locations: [{line: 4, column: 21}],
+                        path: ["book", "authorName"]
+                    }
+                ]
+            })
+        );
+    },
+
+    "relationships with a cardinality of first use the first value": () => {
+        const query = `
+            {
+                book(id: 2) {
+                    firstAuthor {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "book": {"firstAuthor": {"name": "Joseph Heller"}}
+                }
+            })
+        );
+    },
+
+    "relationships with a cardinality of nullIfAmbiguous are null when there are multiple values": () => {
+        const query = `
+            {
+                books {
+                    unambiguousAuthor {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"unambiguousAuthor": {"name": "PG Wodehouse"}},
+                        {"unambiguousAuthor": null},
+                        {"unambiguousAuthor": null}
+                    ]
+                }
+            })
+        );
+    },
+
+    "non-null relationships report an error when there are no values": () => {
+        const query = `
+            {
+                books {
+                    title
+                    requiredAuthor {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"title": "Leave It to Psmith", "requiredAuthor": {"name": "PG Wodehouse"}},
+                        {"title": "Catch-22", "requiredAuthor": {"name": "Joseph Heller"}},
+                        null
+                    ]
+                },
+                errors: [
+                    {
+                        message: 'Expected one Author for requiredAuthor with join values {"authorId":3} but found none',
+                        locations: [{line: 5, column: 21}],
+                        path: ["books", 2, "requiredAuthor"]
+                    }
+                ]
+            })
+        );
+    }
+});
+
+function formatResult(result) {
+    if (result.errors) {
+        return {
+            data: result.data,
+            errors: result.errors.map(error => ({
+                message: error.message,
+                locations: error.locations,
+                path: error.path
+            }))
+        };
+    } else {
+        return result;
+    }
+}
+
+exports["execute()"] = testCases(query => execute(Root, query).then(formatResult));
+
+exports["graphql()"] = testCases(query => graphql(schema, query).then(formatResult));
+
+exports["non-null relationships have non-null GraphQL types"] = () => {
+    const type = Book.toGraphQLType().getFields().requiredAuthor.type;
+    assert.ok(type instanceof GraphQLNonNull);
+    assert.equal(type.ofType, Author.toGraphQLType());
+};
+
+exports["single() throws error if cardinality is not recognised"] = () => {
+    assert.throws(
+        () => single({target: Author, cardinality: "last"}),
+        /^Error: cardinality must be one of: strict, first, nullIfAmbiguous$/
+    );
+};
@@ -0,0 +1,140 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLBoolean, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, computed, many, execute } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const authorRows = [
+    {id: 1, firstName: "PG", lastName: "Wodehouse", dueDate: "2017-01-01"},
+    {id: 2, firstName: "Joseph", lastName: "Heller", dueDate: null}
+];
+
+let fetchedKeys = [];
+
+function fetchImmediates(selections, objs) {
+    fetchedKeys.push(selections.map(selection => selection.key));
+    return fetchImmediatesFromObj(selections, objs);
+}
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            firstName: field({name: "firstName", type: GraphQLString}),
+            lastName: field({name: "lastName", type: GraphQLString}),
+            dueDate: field({name: "dueDate", type: GraphQLString}),
+            fullName: computed({
+                type: GraphQLString,
+                dependencies: ["firstName", "lastName"],
+                args: {separator: {type: GraphQLString, defaultValue: " "}},
+                compute: ({firstName, lastName}, args) => firstName + args.separator + lastName
+            }),
+            isOverdue: computed({
+                type: GraphQLBoolean,
+                dependencies: ["dueDate"],
+                compute: ({dueDate}, args, context) => {
+                    if (context && context.today === undefined) {
+                        throw new Error("today is unknown");
+                    }
+                    return dueDate !== null && dueDate < context.today;
+                }
+            })
+        };
+    },
+
+    fetchImmediates
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({target: Author, select: () => authorRows})
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "computed field fetches dependencies without returning them": () => {
+        fetchedKeys = [];
+        const query = `
+            {
+                authors {
+                    fullName
+                    reversedName: fullName(separator: ", ")
+                }
+            }
+        `;
+
+        return execute(query, {}).then(result => {
+            assert.deepEqual(fetchedKeys, [["_graphjoiner_dependency_firstName", "_graphjoiner_dependency_lastName"]]);
+            assert.deepEqual(result, {
+                data: {
+                    "authors": [
+                        {"fullName": "PG Wodehouse", "reversedName": "PG, Wodehouse"},
+                        {"fullName": "Joseph Heller", "reversedName": "Joseph, Heller"}
+                    ]
+                }
+            });
+        });
+    },
+
+    "computed field can be requested alongside its dependencies": () => {
+        const query = `
+            {
+                authors {
+                    firstName
+                    isOverdue
+                }
+            }
+        `;
+
+        return execute(query, {today: "2017-06-01"}).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "authors": [
+                        {"firstName": "PG", "isOverdue": true},
+                        {"firstName": "Joseph", "isOverdue": false}
+                    ]
+                }
+            })
+        );
+    },
+
+    "errors in compute are returned as field errors": () => {
+        const query = `
+            {
+                authors {
+                    id
+                    isOverdue
+                }
+            }
+        `;
+
+        return execute(query, {}).then(result => {
+            assert.deepEqual(result.data, {
+                "authors": [
+                    {"id": 1, "isOverdue": null},
+                    {"id": 2, "isOverdue": null}
+                ]
+            });
+            assert.deepEqual(result.errors.map(error => error.message), ["today is unknown", "today is unknown"]);
+        });
+    }
+});
+
+exports["execute()"] = testCases((query, context) =>
+    execute(Root, query, {context})
+);
+
+exports["graphql()"] = testCases((query, context) =>
+    graphql(schema, query, null, context)
+);
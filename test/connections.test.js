@@ -0,0 +1,307 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, connection, execute } from "../lib";
+import { allAuthors, fetchImmediatesFromObj } from "./fixtures";
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1},
+    {id: 2, title: "Right Ho, Jeeves", authorId: 1},
+    {id: 3, title: "Catch-22", authorId: 2},
+    {id: 4, title: "The Code of the Woosters", authorId: 1}
+];
+
+let selectArgs = [];
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: connection({
+                target: Book,
+                select: args => {
+                    selectArgs.push(args);
+                    return bookRows;
+                },
+                join: {"id": "authorId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: connection({target: Author, select: () => allAuthors}),
+            books: connection({
+                target: Book,
+                select: args => bookRows.filter(book => args.authorId == null || book.authorId === args.authorId),
+                args: {authorId: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "connection without arguments has all edges": () => {
+        const query = `
+            {
+                books(authorId: 1) {
+                    edges {
+                        node {
+                            title
+                        }
+                    }
+                    pageInfo {
+                        hasNextPage
+                        hasPreviousPage
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "books": {
+                    "edges": [
+                        {"node": {"title": "Leave It to Psmith"}},
+                        {"node": {"title": "Right Ho, Jeeves"}},
+                        {"node": {"title": "The Code of the Woosters"}}
+                    ],
+                    "pageInfo": {
+                        "hasNextPage": false,
+                        "hasPreviousPage": false
+                    }
+                }
+            })
+        );
+    },
+
+    "first and after select page of edges": () => {
+        const firstPageQuery = `
+            {
+                books(first: 2) {
+                    pageInfo {
+                        endCursor
+                    }
+                }
+            }
+        `;
+
+        return execute(firstPageQuery).then(firstPage => {
+            const query = `
+                query nextPage($after: String) {
+                    books(first: 2, after: $after) {
+                        edges {
+                            node {
+                                title
+                            }
+                        }
+                        pageInfo {
+                            hasNextPage
+                            hasPreviousPage
+                        }
+                    }
+                }
+            `;
+            return execute(query, {after: firstPage.books.pageInfo.endCursor});
+        }).then(result =>
+            assert.deepEqual(result, {
+                "books": {
+                    "edges": [
+                        {"node": {"title": "Catch-22"}},
+                        {"node": {"title": "The Code of the Woosters"}}
+                    ],
+                    "pageInfo": {
+                        "hasNextPage": false,
+                        "hasPreviousPage": false
+                    }
+                }
+            })
+        );
+    },
+
+    "last selects edges from end of connection": () => {
+        const query = `
+            {
+                books(last: 1) {
+                    edges {
+                        node {
+                            title
+                        }
+                    }
+                    pageInfo {
+                        hasNextPage
+                        hasPreviousPage
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "books": {
+                    "edges": [
+                        {"node": {"title": "The Code of the Woosters"}}
+                    ],
+                    "pageInfo": {
+                        "hasNextPage": false,
+                        "hasPreviousPage": true
+                    }
+                }
+            })
+        );
+    },
+
+    "edge cursors can be used to paginate": () => {
+        const query = `
+            {
+                books(first: 1) {
+                    edges {
+                        cursor
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(firstPage => {
+            const query = `
+                query nextPage($after: String) {
+                    books(first: 1, after: $after) {
+                        e: edges {
+                            n: node {
+                                t: title
+                            }
+                        }
+                        p: pageInfo {
+                            next: hasNextPage
+                        }
+                    }
+                }
+            `;
+            return execute(query, {after: firstPage.books.edges[0].cursor});
+        }).then(result =>
+            assert.deepEqual(result, {
+                "books": {
+                    "e": [
+                        {"n": {"t": "Right Ho, Jeeves"}}
+                    ],
+                    "p": {
+                        "next": true
+                    }
+                }
+            })
+        );
+    },
+
+    "nested connections are paginated per parent with a single select": () => {
+        selectArgs = [];
+        const query = `
+            {
+                authors {
+                    edges {
+                        node {
+                            name
+                            books(first: 2) {
+                                edges {
+                                    node {
+                                        title
+                                    }
+                                }
+                                pageInfo {
+                                    hasNextPage
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result => {
+            assert.deepEqual(selectArgs, [{first: 2, after: null, last: null, before: null}]);
+            assert.deepEqual(result, {
+                "authors": {
+                    "edges": [
+                        {
+                            "node": {
+                                "name": "PG Wodehouse",
+                                "books": {
+                                    "edges": [
+                                        {"node": {"title": "Leave It to Psmith"}},
+                                        {"node": {"title": "Right Ho, Jeeves"}}
+                                    ],
+                                    "pageInfo": {"hasNextPage": true}
+                                }
+                            }
+                        },
+                        {
+                            "node": {
+                                "name": "Joseph Heller",
+                                "books": {
+                                    "edges": [
+                                        {"node": {"title": "Catch-22"}}
+                                    ],
+                                    "pageInfo": {"hasNextPage": false}
+                                }
+                            }
+                        }
+                    ]
+                }
+            });
+        });
+    }
+});
+
+function getData(result) {
+    assert.equal(result.errors, undefined);
+    return result.data;
+}
+
+exports["execute()"] = testCases((query, variables) =>
+    execute(Root, query, {variables}).then(getData)
+);
+
+exports["graphql()"] = testCases((query, variables) =>
+    graphql(schema, query, null, null, variables).then(getData)
+);
+
+exports["execute() returns error for invalid cursor"] = () => {
+    return execute(Root, '{ books(after: "bad") { edges { cursor } } }').then(result => {
+        assert.deepEqual(result.data, {books: null});
+        assert.deepEqual(result.errors.map(error => error.message), ["Invalid cursor: bad"]);
+    });
+};
+
+exports["execute() returns error for negative first or last"] = () => {
+    return execute(Root, "{ first: books(first: -1) { edges { cursor } } last: books(last: -1) { edges { cursor } } }").then(result => {
+        assert.deepEqual(result.data, {first: null, last: null});
+        assert.deepEqual(result.errors.map(error => error.message), ["first must not be negative", "last must not be negative"]);
+    });
+};
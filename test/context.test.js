@@ -0,0 +1,124 @@
+import assert from "assert";
+
+import { fromPairs } from "lodash";
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, execute } from "../lib";
+
+const allAuthors = [
+    {id: 1, name: "PG Wodehouse", tenantId: "a"},
+    {id: 2, name: "Joseph Heller", tenantId: "b"}
+];
+
+const allBooks = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1, tenantId: "a"},
+    {id: 2, title: "Right Ho, Jeeves", authorId: 1, tenantId: "b"},
+    {id: 3, title: "Catch-22", authorId: 2, tenantId: "b"}
+];
+
+function forTenant(objs, context) {
+    return objs.filter(obj => obj.tenantId === context.tenantId);
+}
+
+function fetchImmediatesFromObj(selections, objs, context) {
+    function readObj(obj) {
+        return fromPairs(selections.map(selection => [
+            selection.key,
+            selection.field.name === "user" ? context.user : obj[selection.field.name]
+        ]));
+    }
+    return objs.map(readObj);
+}
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            user: field({name: "user", type: GraphQLString}),
+            books: many({
+                target: Book,
+                select: (args, authors, context) => forTenant(allBooks, context),
+                join: {"id": "authorId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({
+                target: Author,
+                select: (args, root, context) => forTenant(allAuthors, context)
+            })
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "context is passed to select and fetchImmediates": () => {
+        const query = `
+            {
+                authors {
+                    name
+                    user
+                    books {
+                        title
+                    }
+                }
+            }
+        `;
+
+        return execute(query, {tenantId: "b", user: "Bob"}).then(result =>
+            assert.deepEqual(result, {
+                "authors": [
+                    {
+                        "name": "Joseph Heller",
+                        "user": "Bob",
+                        "books": [
+                            {"title": "Catch-22"}
+                        ]
+                    }
+                ]
+            })
+        );
+    }
+});
+
+function getData(result) {
+    assert.equal(result.errors, undefined);
+    return result.data;
+}
+
+exports["execute()"] = testCases((query, context) =>
+    execute(Root, query, {context}).then(getData)
+);
+
+exports["graphql()"] = testCases((query, context) =>
+    graphql(schema, query, null, context).then(getData)
+);
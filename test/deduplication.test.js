@@ -0,0 +1,253 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, connection, execute, explain } from "../lib";
+import { allAuthors, allBooks, fetchImmediatesFromObj } from "./fixtures";
+
+let selectCount = 0;
+
+function selectAll(objs) {
+    return () => {
+        selectCount++;
+        return objs;
+    };
+}
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: many({
+                target: Book,
+                select: selectAll(allBooks),
+                join: {"id": "authorId"},
+                args: {first: {type: GraphQLInt}},
+                window: args => ({limit: args.first})
+            }),
+            bookConnection: connection({
+                target: Book,
+                select: selectAll(allBooks),
+                join: {"id": "authorId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: single({
+                target: Author,
+                select: selectAll(allAuthors),
+                join: {"authorId": "id"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            author: single({
+                target: Author,
+                select: args => allAuthors.filter(author => author.id === args.id),
+                args: {id: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "aliases of same relationship are fetched once": () => {
+        selectCount = 0;
+        const query = `
+            {
+                author(id: 1) {
+                    titles: books {
+                        title
+                    }
+                    ids: books {
+                        id
+                        author {
+                            name
+                        }
+                    }
+                    ...AuthorBooks
+                }
+            }
+
+            fragment AuthorBooks on Author {
+                books {
+                    author {
+                        id
+                    }
+                }
+            }
+        `;
+        return execute(query).then(result => {
+            assert.equal(selectCount, 2);
+            assert.deepEqual(result, {
+                "author": {
+                    "titles": [{"title": "Leave It to Psmith"}, {"title": "Right Ho, Jeeves"}],
+                    "ids": [
+                        {"id": 1, "author": {"name": "PG Wodehouse"}},
+                        {"id": 2, "author": {"name": "PG Wodehouse"}}
+                    ],
+                    "books": [
+                        {"author": {"id": 1}},
+                        {"author": {"id": 1}}
+                    ]
+                }
+            });
+        });
+    },
+
+    "relationships with different arguments are fetched separately": () => {
+        selectCount = 0;
+        const query = `
+            {
+                author(id: 1) {
+                    first: books(first: 1) {
+                        title
+                    }
+                    all: books {
+                        title
+                    }
+                }
+            }
+        `;
+        return execute(query).then(result => {
+            assert.equal(selectCount, 2);
+            assert.deepEqual(result, {
+                "author": {
+                    "first": [{"title": "Leave It to Psmith"}],
+                    "all": [{"title": "Leave It to Psmith"}, {"title": "Right Ho, Jeeves"}]
+                }
+            });
+        });
+    },
+
+    "relationships that use the same key for different fields are fetched separately": () => {
+        selectCount = 0;
+        const query = `
+            {
+                author(id: 1) {
+                    a: books {
+                        value: title
+                    }
+                    b: books {
+                        value: id
+                    }
+                }
+            }
+        `;
+        return execute(query).then(result => {
+            assert.equal(selectCount, 2);
+            assert.deepEqual(result, {
+                "author": {
+                    "a": [{"value": "Leave It to Psmith"}, {"value": "Right Ho, Jeeves"}],
+                    "b": [{"value": 1}, {"value": 2}]
+                }
+            });
+        });
+    },
+
+    "aliases of connections are fetched once": () => {
+        selectCount = 0;
+        const query = `
+            {
+                author(id: 1) {
+                    a: bookConnection {
+                        edges {
+                            node {
+                                title
+                            }
+                        }
+                    }
+                    b: bookConnection {
+                        pageInfo {
+                            hasNextPage
+                        }
+                    }
+                }
+            }
+        `;
+        return execute(query).then(result => {
+            assert.equal(selectCount, 1);
+            assert.deepEqual(result, {
+                "author": {
+                    "a": {
+                        "edges": [
+                            {"node": {"title": "Leave It to Psmith"}},
+                            {"node": {"title": "Right Ho, Jeeves"}}
+                        ]
+                    },
+                    "b": {
+                        "pageInfo": {"hasNextPage": false}
+                    }
+                }
+            });
+        });
+    }
+});
+
+exports["explain() counts aliases of same relationship as one fetch"] = () => {
+    const query = `
+        {
+            author(id: 1) {
+                titles: books {
+                    title
+                }
+                ids: books {
+                    id
+                    author {
+                        name
+                    }
+                }
+            }
+        }
+    `;
+    let fetchCount = 0;
+    const instrumentation = {
+        onStart: event => {
+            if (event.operation === "fetchImmediates" && event.type !== "Query") {
+                fetchCount++;
+            }
+        }
+    };
+    return execute(Root, query, {instrumentation}).then(result => {
+        assert.equal(result.errors, undefined);
+        return explain(Root, query);
+    }).then(result => {
+        assert.equal(fetchCount, 3);
+        assert.equal(result.fetchCount, fetchCount);
+    });
+};
+
+function getData(result) {
+    assert.equal(result.errors, undefined);
+    return result.data;
+}
+
+exports["execute()"] = testCases(query => execute(Root, query).then(getData));
+
+exports["graphql()"] = testCases(query => graphql(schema, query).then(getData));
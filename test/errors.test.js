@@ -0,0 +1,258 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLNonNull, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, execute } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const authorRows = [
+    {id: 1, name: "PG Wodehouse"},
+    {id: 2, name: null}
+];
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1},
+    {id: 2, title: "Catch-22", authorId: 2}
+];
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: new GraphQLNonNull(GraphQLString)})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: single({
+                target: Author,
+                select: () => authorRows,
+                join: {"authorId": "id"}
+            }),
+            publisher: single({
+                target: Author,
+                select: () => {
+                    throw new Error("Could not select publishers");
+                },
+                join: {"authorId": "id"}
+            }),
+            reviews: many({
+                target: Review,
+                select: () => Promise.reject(new Error("Could not fetch reviews")),
+                join: {"id": "bookId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Review = new JoinType({
+    name: "Review",
+
+    fields() {
+        return {
+            bookId: field({name: "bookId", type: GraphQLInt}),
+            body: field({name: "body", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            books: many({target: Book, select: () => bookRows}),
+            book: single({
+                target: Book,
+                select: args => bookRows.filter(book => book.id === args.id),
+                args: {id: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "failure in relationship only nulls that relationship": () => {
+        const query = `
+            {
+                book(id: 1) {
+                    title
+                    reviews {
+                        body
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "book": {
+                        "title": "Leave It to Psmith",
+                        "reviews": null
+                    }
+                },
+                errors: [
+                    {
+                        message: "Could not fetch reviews",
+                        locations: [{line: 5, column: 21}],
+                        path: ["book", "reviews"]
+                    }
+                ]
+            })
+        );
+    },
+
+    "synchronous errors from select are reported": () => {
+        const query = `
+            {
+                book(id: 1) {
+                    title
+                    publisher {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "book": {
+                        "title": "Leave It to Psmith",
+                        "publisher": null
+                    }
+                },
+                errors: [
+                    {
+                        message: "Could not select publishers",
+                        locations: [{line: 5, column: 21}],
+                        path: ["book", "publisher"]
+                    }
+                ]
+            })
+        );
+    },
+
+    "error is reported for each instance of failed field": () => {
+        const query = `
+            {
+                books {
+                    title
+                    reviews {
+                        body
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"title": "Leave It to Psmith", "reviews": null},
+                        {"title": "Catch-22", "reviews": null}
+                    ]
+                },
+                errors: [
+                    {
+                        message: "Could not fetch reviews",
+                        locations: [{line: 5, column: 21}],
+                        path: ["books", 0, "reviews"]
+                    },
+                    {
+                        message: "Could not fetch reviews",
+                        locations: [{line: 5, column: 21}],
+                        path: ["books", 1, "reviews"]
+                    }
+                ]
+            })
+        );
+    },
+
+    "null in non-null field nulls out nearest nullable parent": () => {
+        const query = `
+            {
+                books {
+                    title
+                    author {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"title": "Leave It to Psmith", "author": {"name": "PG Wodehouse"}},
+                        {"title": "Catch-22", "author": null}
+                    ]
+                },
+                errors: [
+                    {
+                        message: "Cannot return null for non-nullable field Author.name.",
+                        locations: [{line: 6, column: 25}],
+                        path: ["books", 1, "author", "name"]
+                    }
+                ]
+            })
+        );
+    }
+});
+
+function formatResult(result) {
+    if (result.errors) {
+        return {
+            data: result.data,
+            errors: result.errors.map(error => ({
+                message: error.message,
+                locations: error.locations,
+                path: error.path
+            }))
+        };
+    } else {
+        return result;
+    }
+}
+
+exports["execute()"] = testCases(query => execute(Root, query).then(formatResult));
+
+exports["graphql()"] = testCases(query => graphql(schema, query).then(formatResult));
+
+exports["execute() returns syntax errors"] = () => {
+    return execute(Root, "{").then(result => {
+        assert.equal(result.data, undefined);
+        assert.equal(result.errors.length, 1);
+        assert.deepEqual(result.errors[0].locations, [{line: 1, column: 2}]);
+    });
+};
+
+exports["execute() returns operation errors that can be serialized"] = () => {
+    return execute(Root, "query getBooks { books { title } }", {operationName: "getAuthors"}).then(result => {
+        assert.deepEqual(JSON.parse(JSON.stringify(result)), {
+            errors: [{message: "Unknown operation named \"getAuthors\""}]
+        });
+    });
+};
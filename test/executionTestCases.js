@@ -126,6 +126,65 @@ export const testCases = (execute) => ({
         );
     },
 
+    "nested many() relationship can be limited per parent": () => {
+        const query = `
+            {
+                books {
+                    title
+                    author {
+                        books(first: 1) {
+                            title
+                        }
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "books": [
+                    {
+                        "title": "Leave It to Psmith",
+                        "author": {"books": [{"title": "Leave It to Psmith"}]}
+                    },
+                    {
+                        "title": "Right Ho, Jeeves",
+                        "author": {"books": [{"title": "Leave It to Psmith"}]}
+                    },
+                    {
+                        "title": "Catch-22",
+                        "author": {"books": [{"title": "Catch-22"}]}
+                    }
+                ]
+            })
+        );
+    },
+
+    "nested many() relationship can be offset per parent": () => {
+        const query = `
+            {
+                books {
+                    author {
+                        name
+                        books(first: 1, offset: 1) {
+                            title
+                        }
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "books": [
+                    {"author": {"name": "PG Wodehouse", "books": [{"title": "Right Ho, Jeeves"}]}},
+                    {"author": {"name": "PG Wodehouse", "books": [{"title": "Right Ho, Jeeves"}]}},
+                    {"author": {"name": "Joseph Heller", "books": []}}
+                ]
+            })
+        );
+    },
+
     "querying extracted scalar": () => {
         const query = `
             {
@@ -326,6 +385,30 @@ export const testCases = (execute) => ({
         );
     },
     
+    "operation is selected by operationName": () => {
+        const query = `
+            query getBook {
+                book(id: 1) {
+                    title
+                }
+            }
+
+            query getAuthor {
+                author(id: 1) {
+                    name
+                }
+            }
+        `;
+
+        return execute(query, {operationName: "getAuthor"}).then(result =>
+            assert.deepEqual(result, {
+                "author": {
+                    "name": "PG Wodehouse"
+                }
+            })
+        );
+    },
+    
     "querying list of entities with fragment spread": () => {
         const query = `
             {
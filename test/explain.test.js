@@ -0,0 +1,168 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, extract, explain } from "../lib";
+
+let fetchCount = 0;
+
+function fetchImmediates() {
+    fetchCount++;
+    return [];
+}
+
+function explainImmediates(selections, select) {
+    return select + " with " + selections.map(selection => selection.field.name).join(", ");
+}
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        const books = many({
+            target: Book,
+            select: (args, authorSelect) => "books of " + authorSelect,
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}},
+            window: args => ({limit: args.first})
+        });
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: books,
+            bookTitles: extract(books, "title")
+        };
+    },
+
+    fetchImmediates,
+
+    explainImmediates
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: single({
+                target: Author,
+                select: (args, bookSelect) => "author of " + bookSelect,
+                join: {"authorId": "id"}
+            })
+        };
+    },
+
+    fetchImmediates
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({target: Author, select: () => "all authors"}),
+            author: single({
+                target: Author,
+                select: args => "author " + args.id,
+                args: {id: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+exports["plan describes each fetch without fetching"] = () => {
+    fetchCount = 0;
+    const query = `
+        {
+            authors {
+                name
+                books(first: 2) {
+                    title
+                }
+            }
+            author(id: 1) {
+                bookTitles
+            }
+        }
+    `;
+    return explain(Root, query).then(result => {
+        assert.equal(fetchCount, 0);
+        assert.deepEqual(result, {
+            fetchCount: 4,
+            plan: {
+                type: "Query",
+                selections: [],
+                query: undefined,
+                relationships: [
+                    {
+                        key: "authors",
+                        args: {},
+                        join: {},
+                        window: null,
+                        fetches: [
+                            {
+                                type: "Author",
+                                selections: ["name", "_graphjoiner_joinToChildrenKey_id"],
+                                query: "all authors with name, id",
+                                relationships: [
+                                    {
+                                        key: "books",
+                                        args: {first: 2},
+                                        join: {"id": "authorId"},
+                                        window: {offset: 0, limit: 2},
+                                        fetches: [
+                                            {
+                                                type: "Book",
+                                                selections: ["title", "_graphjoiner_joinToParentKey_authorId"],
+                                                query: undefined,
+                                                relationships: []
+                                            }
+                                        ]
+                                    }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        key: "author",
+                        args: {id: 1},
+                        join: {},
+                        window: null,
+                        fetches: [
+                            {
+                                type: "Author",
+                                selections: ["_graphjoiner_joinToChildrenKey_id"],
+                                query: "author 1 with id",
+                                relationships: [
+                                    {
+                                        key: "bookTitles",
+                                        args: {first: null},
+                                        join: {"id": "authorId"},
+                                        window: null,
+                                        fetches: [
+                                            {
+                                                type: "Book",
+                                                selections: ["title", "_graphjoiner_joinToParentKey_authorId"],
+                                                query: undefined,
+                                                relationships: []
+                                            }
+                                        ]
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        });
+    });
+};
+
+exports["invalid query has errors instead of plan"] = () => {
+    return explain(Root, "{ authors { title } }").then(result => {
+        assert.deepEqual(result.errors.map(error => error.message), ['Cannot query field "title" on type "Author".']);
+    });
+};
@@ -0,0 +1,158 @@
+import assert from "assert";
+
+import { fromPairs } from "lodash";
+import { graphql, GraphQLSchema, GraphQLEnumType, GraphQLFloat, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, many, execute } from "../lib";
+
+const allBooks = [
+    {id: 1, title: {en: "Leave It to Psmith", fr: "Psmith journaliste"}, price: 10},
+    {id: 2, title: {en: "Catch-22", fr: "Catch 22"}, price: 12.5}
+];
+
+const exchangeRates = {GBP: 1, EUR: 1.2};
+
+let fetchedSelections = [];
+
+function fetchImmediatesFromObj(selections, objs) {
+    fetchedSelections.push(selections.map(selection => [selection.key, selection.args]));
+    function readObj(obj) {
+        return fromPairs(selections.map(selection => [
+            selection.key,
+            selection.field.read(obj, selection.args)
+        ]));
+    }
+    return objs.map(readObj);
+}
+
+const Currency = new GraphQLEnumType({
+    name: "Currency",
+    values: {GBP: {}, EUR: {}}
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({read: book => book.id, type: GraphQLInt}),
+            title: field({
+                read: (book, args) => book.title[args.language],
+                type: GraphQLString,
+                args: {language: {type: GraphQLString, defaultValue: "en"}}
+            }),
+            price: field({
+                read: book => book.price,
+                type: GraphQLString,
+                args: {currency: {type: Currency, defaultValue: "GBP"}},
+                transform: (price, args) => (price * exchangeRates[args.currency]).toFixed(2) + " " + args.currency
+            }),
+            shoutedTitle: field({
+                read: book => book.title.en,
+                type: GraphQLString,
+                transform: (title, args, context) => {
+                    if (context && context.quiet) {
+                        throw new Error("Shouting is not allowed");
+                    }
+                    return title.toUpperCase();
+                }
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            books: many({target: Book, select: () => allBooks})
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+const testCases = (execute) => ({
+    "field arguments are passed to fetchImmediates with selection": () => {
+        fetchedSelections = [];
+        const query = `
+            {
+                books {
+                    title
+                    frenchTitle: title(language: "fr")
+                }
+            }
+        `;
+
+        return execute(query).then(result => {
+            assert.deepEqual(fetchedSelections, [[
+                ["title", {language: "en"}],
+                ["frenchTitle", {language: "fr"}]
+            ]]);
+            assert.deepEqual(result.data, {
+                "books": [
+                    {"title": "Leave It to Psmith", "frenchTitle": "Psmith journaliste"},
+                    {"title": "Catch-22", "frenchTitle": "Catch 22"}
+                ]
+            });
+        });
+    },
+
+    "transform is applied to fetched value with field arguments": () => {
+        const query = `
+            {
+                books {
+                    price
+                    euros: price(currency: EUR)
+                    shoutedTitle
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result.data, {
+                "books": [
+                    {"price": "10.00 GBP", "euros": "12.00 EUR", "shoutedTitle": "LEAVE IT TO PSMITH"},
+                    {"price": "12.50 GBP", "euros": "15.00 EUR", "shoutedTitle": "CATCH-22"}
+                ]
+            })
+        );
+    },
+
+    "errors in transform are returned as field errors": () => {
+        const query = `
+            {
+                books {
+                    id
+                    shoutedTitle
+                }
+            }
+        `;
+
+        return execute(query, {quiet: true}).then(result => {
+            assert.deepEqual(result.data, {
+                "books": [
+                    {"id": 1, "shoutedTitle": null},
+                    {"id": 2, "shoutedTitle": null}
+                ]
+            });
+            assert.deepEqual(result.errors.map(error => [error.message, error.path]), [
+                ["Shouting is not allowed", ["books", 0, "shoutedTitle"]],
+                ["Shouting is not allowed", ["books", 1, "shoutedTitle"]]
+            ]);
+        });
+    }
+});
+
+exports["execute()"] = testCases((query, context) =>
+    execute(Root, query, {context})
+);
+
+exports["graphql()"] = testCases((query, context) =>
+    graphql(schema, query, null, context)
+);
@@ -0,0 +1,22 @@
+import { fromPairs } from "lodash";
+
+export const allAuthors = [
+    {id: 1, name: "PG Wodehouse"},
+    {id: 2, name: "Joseph Heller"}
+];
+
+export const allBooks = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1},
+    {id: 2, title: "Right Ho, Jeeves", authorId: 1},
+    {id: 3, title: "Catch-22", authorId: 2}
+];
+
+export function fetchImmediatesFromObj(selections, objs) {
+    function readObj(obj) {
+        return fromPairs(selections.map(selection => [
+            selection.key,
+            obj[selection.field.name]
+        ]));
+    }
+    return objs.map(readObj);
+}
@@ -135,7 +135,7 @@ exports[module.filename] = () => {
             }
         `;
 
-        result = execute(Root, query).then(data => assert.deepEqual(data, {
+        result = execute(Root, query).then(result => assert.deepEqual(result.data, {
             "books": [
                 {
                     "title": "Leave It to Psmith",
@@ -0,0 +1,385 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+import createKnex from "knex";
+
+import { RootJoinType, aggregate, extract, execute, explain } from "../lib";
+import { KnexJoinType, column, many, single } from "../lib/knex";
+import { testCases } from "./executionTestCases";
+
+const knex = createKnex({
+    client: "sqlite3",
+    connection: {filename: ":memory:"},
+    useNullAsDefault: true
+});
+
+exports.before = () => {
+    return knex.schema
+        .createTable("author", table => {
+            table.integer("id").primary();
+            table.string("name");
+        })
+        .createTable("book", table => {
+            table.integer("id").primary();
+            table.string("title");
+            table.integer("author_id");
+        })
+        .createTable("tag", table => {
+            table.integer("id").primary();
+            table.string("name");
+        })
+        .createTable("book_tag", table => {
+            table.integer("book_id");
+            table.integer("tag_id");
+            table.primary(["book_id", "tag_id"]);
+        })
+        .then(() => knex("author").insert([
+            {id: 1, name: "PG Wodehouse"},
+            {id: 2, name: "Joseph Heller"}
+        ]))
+        .then(() => knex("book").insert([
+            {id: 1, title: "Leave It to Psmith", author_id: 1},
+            {id: 2, title: "Right Ho, Jeeves", author_id: 1},
+            {id: 3, title: "Catch-22", author_id: 2}
+        ]))
+        .then(() => knex("tag").insert([
+            {id: 1, name: "comedy"},
+            {id: 2, name: "war"}
+        ]))
+        .then(() => knex("book_tag").insert([
+            {book_id: 1, tag_id: 1},
+            {book_id: 2, tag_id: 1},
+            {book_id: 3, tag_id: 1},
+            {book_id: 3, tag_id: 2}
+        ]));
+};
+
+exports.after = () => knex.destroy();
+
+const Author = new KnexJoinType({
+    name: "Author",
+
+    knex,
+
+    tableName: "author",
+
+    fields() {
+        const books = many({
+            target: Book,
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}, offset: {type: GraphQLInt}},
+            window: args => ({limit: args.first, offset: args.offset})
+        });
+
+        return {
+            id: column("id", GraphQLInt),
+            name: column("name", GraphQLString),
+            books: books,
+            bookTitles: extract(books, "title")
+        };
+    }
+});
+
+const Book = new KnexJoinType({
+    name: "Book",
+
+    knex,
+
+    tableName: "book",
+
+    fields() {
+        const author = single({
+            target: Author,
+            join: {"authorId": "id"}
+        });
+
+        return {
+            id: column("id", GraphQLInt),
+            title: column("title", GraphQLString),
+            authorId: column("author_id", GraphQLInt),
+            author: author,
+            booksBySameAuthor: extract(author, "books")
+        };
+    }
+});
+
+function byId(tableName) {
+    return (query, args) => args.id == null ? query : query.where(tableName + ".id", args.id);
+}
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            "books": many({target: Book}),
+            "book": single({
+                target: Book,
+                filter: byId("book"),
+                args: {"id": {type: GraphQLInt}}
+            }),
+            "author": single({
+                target: Author,
+                filter: byId("author"),
+                args: {"id": {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+function executeQuery(query, options) {
+    return execute(Root, query, options).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+}
+
+exports[module.filename] = testCases(executeQuery);
+
+exports["explain() includes queries for each fetch"] = () => {
+    const query = `
+        {
+            author(id: 1) {
+                books {
+                    title
+                }
+            }
+        }
+    `;
+    return explain(Root, query).then(result => {
+        assert.equal(result.fetchCount, 2);
+        const booksFetch = result.plan.relationships[0].fetches[0].relationships[0].fetches[0];
+        assert.deepEqual(booksFetch.query, {
+            sql: 'select distinct "book"."title" as "title", "book"."author_id" as "_graphjoiner_joinToParentKey_authorId", "book"."id" as "_primaryKey_id" ' +
+                'from "book" inner join (select distinct "author"."id" as "_graphjoiner_join_0" from "author" where "author"."id" = ?) as "_graphjoiner_parents" ' +
+                'on "_graphjoiner_parents"."_graphjoiner_join_0" = "book"."author_id"',
+            bindings: [1]
+        });
+    });
+};
+
+exports["relationships with joinUsing of values select children using the parent join values"] = () => {
+    const BookByValues = new KnexJoinType({
+        name: "Book",
+        knex,
+        tableName: "book",
+        fields() {
+            return {
+                title: column("title", GraphQLString),
+                authorId: column("author_id", GraphQLInt)
+            };
+        }
+    });
+    const AuthorByValues = new KnexJoinType({
+        name: "Author",
+        knex,
+        tableName: "author",
+        fields() {
+            return {
+                id: column("id", GraphQLInt),
+                books: many({target: BookByValues, join: {"id": "authorId"}, joinUsing: "values"})
+            };
+        }
+    });
+    const RootByValues = new RootJoinType({
+        name: "Query",
+        fields() {
+            return {
+                authors: many({target: AuthorByValues})
+            };
+        }
+    });
+    const queries = [];
+    const onQuery = query => queries.push(query);
+    knex.on("query", onQuery);
+
+    return execute(RootByValues, "{ authors { id books { title } } }").then(result => {
+        knex.removeListener("query", onQuery);
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            authors: [
+                {id: 1, books: [{title: "Leave It to Psmith"}, {title: "Right Ho, Jeeves"}]},
+                {id: 2, books: [{title: "Catch-22"}]}
+            ]
+        });
+        const booksQuery = queries.find(query => /from "book"/.test(query.sql));
+        assert.ok(/where "book"\."author_id" in \(\?, \?\)/.test(booksQuery.sql), booksQuery.sql);
+        assert.deepEqual(booksQuery.bindings, [1, 2]);
+    });
+};
+
+exports["many() can join through an association table"] = () => {
+    const Tag = new KnexJoinType({
+        name: "Tag",
+        knex,
+        tableName: "tag",
+        fields() {
+            return {
+                id: column("id", GraphQLInt),
+                name: column("name", GraphQLString)
+            };
+        }
+    });
+    const BookTag = new KnexJoinType({
+        name: "BookTag",
+        knex,
+        tableName: "book_tag",
+        primaryKey: ["book_id", "tag_id"],
+        fields() {
+            return {
+                bookId: column("book_id", GraphQLInt),
+                tagId: column("tag_id", GraphQLInt)
+            };
+        }
+    });
+    const TaggedBook = new KnexJoinType({
+        name: "Book",
+        knex,
+        tableName: "book",
+        fields() {
+            return {
+                id: column("id", GraphQLInt),
+                title: column("title", GraphQLString),
+                tags: many({
+                    target: Tag,
+                    through: {target: BookTag, join: {"id": "bookId"}},
+                    join: {"tagId": "id"}
+                })
+            };
+        }
+    });
+    const TaggedRoot = new RootJoinType({
+        name: "Query",
+        fields() {
+            return {
+                books: many({target: TaggedBook})
+            };
+        }
+    });
+
+    return execute(TaggedRoot, "{ books { title tags { name } } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            books: [
+                {title: "Leave It to Psmith", tags: [{name: "comedy"}]},
+                {title: "Right Ho, Jeeves", tags: [{name: "comedy"}]},
+                {title: "Catch-22", tags: [{name: "comedy"}, {name: "war"}]}
+            ]
+        });
+    });
+};
+
+exports["aggregates are fetched by grouping on the join columns"] = () => {
+    const AggregatedAuthor = new KnexJoinType({
+        name: "Author",
+        knex,
+        tableName: "author",
+        fields() {
+            const books = many({target: Book, join: {"id": "authorId"}});
+            return {
+                id: column("id", GraphQLInt),
+                bookCount: aggregate(books, "count"),
+                firstTitle: aggregate(books, "min", "title")
+            };
+        }
+    });
+    const AggregatedRoot = new RootJoinType({
+        name: "Query",
+        fields() {
+            return {
+                authors: many({target: AggregatedAuthor})
+            };
+        }
+    });
+    const queries = [];
+    const onQuery = query => queries.push(query);
+    knex.on("query", onQuery);
+
+    return execute(AggregatedRoot, "{ authors { id bookCount firstTitle } }").then(result => {
+        knex.removeListener("query", onQuery);
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            authors: [
+                {id: 1, bookCount: 2, firstTitle: "Leave It to Psmith"},
+                {id: 2, bookCount: 1, firstTitle: "Catch-22"}
+            ]
+        });
+        const bookQueries = queries.filter(query => /from "book"/.test(query.sql));
+        assert.equal(bookQueries.length, 2);
+        bookQueries.forEach(query => assert.ok(/group by "_graphjoiner_joinToParentKey_authorId"/.test(query.sql), query.sql));
+    });
+};
+
+exports["queries use the transaction from the context"] = () => {
+    const transactionFromContext = context => context.transaction;
+    const TransactionAuthor = new KnexJoinType({
+        name: "Author",
+        knex,
+        transaction: transactionFromContext,
+        tableName: "author",
+        fields() {
+            const books = many({target: TransactionBook, join: {"id": "authorId"}});
+            return {
+                id: column("id", GraphQLInt),
+                bookCount: aggregate(books, "count"),
+                bookTitles: extract(books, "title")
+            };
+        }
+    });
+    const TransactionBook = new KnexJoinType({
+        name: "Book",
+        knex,
+        transaction: transactionFromContext,
+        tableName: "book",
+        fields() {
+            return {
+                title: column("title", GraphQLString),
+                authorId: column("author_id", GraphQLInt)
+            };
+        }
+    });
+    const TransactionRoot = new RootJoinType({
+        name: "Query",
+        fields() {
+            return {
+                author: single({
+                    target: TransactionAuthor,
+                    filter: byId("author"),
+                    args: {"id": {type: GraphQLInt}}
+                })
+            };
+        }
+    });
+
+    const rollback = new Error("rollback");
+    return knex.transaction(transaction =>
+        transaction("book").insert({id: 4, title: "Closing Time", author_id: 2})
+            .then(() => execute(TransactionRoot, "{ author(id: 2) { bookCount bookTitles } }", {context: {transaction}}))
+            .then(result => {
+                assert.equal(result.errors, undefined);
+                assert.deepEqual(result.data, {
+                    author: {bookCount: 2, bookTitles: ["Catch-22", "Closing Time"]}
+                });
+                throw rollback;
+            })
+    ).catch(error => {
+        if (error !== rollback) {
+            throw error;
+        }
+    });
+};
+
+exports["windows are selected for each parent using row_number()"] = () => {
+    const queries = [];
+    const onQuery = query => queries.push(query);
+    knex.on("query", onQuery);
+
+    return execute(Root, "{ author(id: 1) { books(first: 1, offset: 1) { title } } }").then(result => {
+        knex.removeListener("query", onQuery);
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {author: {books: [{title: "Right Ho, Jeeves"}]}});
+        const booksQuery = queries.find(query => /from \(select "book"\.\*/.test(query.sql));
+        assert.ok(/row_number\(\) over \(partition by "book"\."author_id" order by "book"\."id"\)/.test(booksQuery.sql), booksQuery.sql);
+        assert.deepEqual(booksQuery.bindings.slice(-2), [1, 2]);
+    });
+};
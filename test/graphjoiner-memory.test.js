@@ -0,0 +1,249 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { RootJoinType, aggregate, extract, execute } from "../lib";
+import { ArrayJoinType, property, many, single } from "../lib/memory";
+import { testCases } from "./executionTestCases";
+
+const allAuthors = [
+    {id: 1, name: "PG Wodehouse"},
+    {id: 2, name: "Joseph Heller"}
+];
+
+const allBooks = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1},
+    {id: 2, title: "Right Ho, Jeeves", authorId: 1},
+    {id: 3, title: "Catch-22", authorId: 2}
+];
+
+let filteredBooks = [];
+
+const Author = new ArrayJoinType({
+    name: "Author",
+
+    rows: allAuthors,
+
+    fields() {
+        const books = many({
+            target: Book,
+            join: {"id": "authorId"},
+            filter: books => {
+                filteredBooks.push(books.map(book => book.id));
+                return books;
+            },
+            orderBy: ["title"],
+            args: {first: {type: GraphQLInt}, offset: {type: GraphQLInt}},
+            window: args => ({limit: args.first, offset: args.offset})
+        });
+
+        return {
+            id: property("id", GraphQLInt),
+            name: property("name", GraphQLString),
+            books: books,
+            bookTitles: extract(books, "title")
+        };
+    }
+});
+
+const Book = new ArrayJoinType({
+    name: "Book",
+
+    rows: () => allBooks,
+
+    fields() {
+        const author = single({
+            target: Author,
+            join: {"authorId": "id"}
+        });
+
+        return {
+            id: property("id", GraphQLInt),
+            title: property("title", GraphQLString),
+            authorId: property("authorId", GraphQLInt),
+            author: author,
+            booksBySameAuthor: extract(author, "books")
+        };
+    }
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            "books": many({target: Book, filterBy: ["authorId"], orderBy: ["id", "title"]}),
+            "book": single({target: Book, filterBy: ["id"]}),
+            "author": single({target: Author, filterBy: ["id"]})
+        };
+    }
+});
+
+function executeQuery(query, options) {
+    return execute(Root, query, options).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+}
+
+exports[module.filename] = {
+    ...testCases(executeQuery),
+
+    "relationship only selects children of parents": () => {
+        filteredBooks = [];
+        const query = `
+            {
+                book(id: 3) {
+                    author {
+                        books {
+                            title
+                        }
+                    }
+                }
+            }
+        `;
+        return executeQuery(query).then(result => {
+            assert.deepEqual(filteredBooks, [[3]]);
+            assert.deepEqual(result, {
+                "book": {
+                    "author": {
+                        "books": [{"title": "Catch-22"}]
+                    }
+                }
+            });
+        });
+    },
+
+    "filterBy fields are added as arguments": () => {
+        const query = `
+            {
+                books(authorId: 1) {
+                    title
+                }
+            }
+        `;
+        return executeQuery(query).then(result =>
+            assert.deepEqual(result, {
+                "books": [
+                    {"title": "Leave It to Psmith"},
+                    {"title": "Right Ho, Jeeves"}
+                ]
+            })
+        );
+    },
+
+    "orderBy argument sorts by fields in ascending or descending order": () => {
+        const query = `
+            {
+                books(orderBy: ["-title"]) {
+                    title
+                }
+                author(id: 1) {
+                    books(orderBy: ["-title"], first: 1) {
+                        title
+                    }
+                }
+            }
+        `;
+        return executeQuery(query).then(result =>
+            assert.deepEqual(result, {
+                "books": [
+                    {"title": "Right Ho, Jeeves"},
+                    {"title": "Leave It to Psmith"},
+                    {"title": "Catch-22"}
+                ],
+                "author": {
+                    "books": [
+                        {"title": "Right Ho, Jeeves"}
+                    ]
+                }
+            })
+        );
+    },
+
+    "ordering by field not in orderBy is an error": () => {
+        const query = `
+            {
+                books(orderBy: ["authorId"]) {
+                    title
+                }
+            }
+        `;
+        return execute(Root, query).then(result => {
+            assert.deepEqual(result.data, {books: null});
+            assert.deepEqual(result.errors.map(error => error.message), ["Cannot order by authorId"]);
+        });
+    },
+
+    "aggregates can be defined without exposing the relationship": () => {
+        const AggregatedAuthor = new ArrayJoinType({
+            name: "Author",
+            rows: allAuthors,
+            fields() {
+                const books = many({target: Book, join: {"id": "authorId"}});
+                return {
+                    id: property("id", GraphQLInt),
+                    name: property("name", GraphQLString),
+                    bookCount: aggregate(books, "count")
+                };
+            }
+        });
+        const AggregatedRoot = new RootJoinType({
+            name: "Query",
+            fields() {
+                return {
+                    authors: many({target: AggregatedAuthor})
+                };
+            }
+        });
+        return execute(AggregatedRoot, "{ authors { name bookCount } }").then(result => {
+            assert.equal(result.errors, undefined);
+            assert.deepEqual(result.data, {
+                authors: [
+                    {name: "PG Wodehouse", bookCount: 2},
+                    {name: "Joseph Heller", bookCount: 1}
+                ]
+            });
+        });
+    },
+
+    "aggregates of relationships with a window take the arguments that aren't used by the window": () => {
+        const AggregatedAuthor = new ArrayJoinType({
+            name: "Author",
+            rows: allAuthors,
+            fields() {
+                const books = many({
+                    target: Book,
+                    join: {"id": "authorId"},
+                    filterBy: ["title"],
+                    args: {first: {type: GraphQLInt}},
+                    window: args => ({limit: args.first})
+                });
+                return {
+                    id: property("id", GraphQLInt),
+                    name: property("name", GraphQLString),
+                    bookCount: aggregate(books, "count")
+                };
+            }
+        });
+        const AggregatedRoot = new RootJoinType({
+            name: "Query",
+            fields() {
+                return {
+                    authors: many({target: AggregatedAuthor})
+                };
+            }
+        });
+        const fields = AggregatedAuthor.toGraphQLType().getFields();
+        assert.deepEqual(fields.bookCount.args.map(arg => arg.name), ["title"]);
+        return execute(AggregatedRoot, '{ authors { name bookCount(title: "Right Ho, Jeeves") } }').then(result => {
+            assert.equal(result.errors, undefined);
+            assert.deepEqual(result.data, {
+                authors: [
+                    {name: "PG Wodehouse", bookCount: 1},
+                    {name: "Joseph Heller", bookCount: 0}
+                ]
+            });
+        });
+    }
+};
@@ -0,0 +1,158 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+import sqlite3 from "sqlite3";
+import Promise from "bluebird";
+import sql from "sql-gen";
+
+import { RootJoinType, extract, execute, explain } from "../lib";
+import { SqlJoinType, column, many, single } from "../lib/sql";
+import { testCases } from "./executionTestCases";
+
+let db;
+
+function executeSql(query) {
+    const {text, params} = sql.compile(query);
+    return Promise.fromCallback(callback => {
+        if (/SELECT/.test(text)) {
+            db.all(text, ...params, callback);
+        } else {
+            db.run(text, ...params, callback);
+        }
+    });
+}
+
+const AuthorTable = sql.table("author", {
+    id: sql.column({name: "id", type: sql.types.int, primaryKey: true}),
+    name: sql.column({name: "name", type: sql.types.string})
+});
+
+const BookTable = sql.table("book", {
+    id: sql.column({name: "id", type: sql.types.int, primaryKey: true}),
+    title: sql.column({name: "title", type: sql.types.string}),
+    authorId: sql.column({name: "author_id", type: sql.types.int})
+});
+
+
+function insertAuthor({id, name}) {
+    db.run("INSERT INTO author (id, name) VALUES (?, ?)", id, name);
+}
+
+function insertBook({id, title, authorId}) {
+    db.run("INSERT INTO book (id, title, author_id) VALUES (?, ?, ?)", id, title, authorId);
+}
+
+exports.before = () => {
+    db = new sqlite3.Database(':memory:');
+    db.serialize(() => {
+        executeSql(sql.createTable(AuthorTable));
+        executeSql(sql.createTable(BookTable));
+        insertAuthor({id: 1, name: "PG Wodehouse"});
+        insertAuthor({id: 2, name: "Joseph Heller"});
+        insertBook({id: 1, title: "Leave It to Psmith", authorId: 1});
+        insertBook({id: 2, title: "Right Ho, Jeeves", authorId: 1});
+        insertBook({id: 3, title: "Catch-22", authorId: 2});
+    });
+};
+
+const Author = new SqlJoinType({
+    name: "Author",
+
+    table: AuthorTable,
+
+    executeQuery: executeSql,
+
+    fields() {
+        const books = many({
+            target: Book,
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}, offset: {type: GraphQLInt}},
+            window: args => ({limit: args.first, offset: args.offset})
+        });
+
+        return {
+            id: column("id", GraphQLInt),
+            name: column("name", GraphQLString),
+            books: books,
+            bookTitles: extract(books, "title")
+        };
+    }
+});
+
+const Book = new SqlJoinType({
+    name: "Book",
+
+    table: BookTable,
+
+    executeQuery: executeSql,
+
+    fields() {
+        const author = single({
+            target: Author,
+            join: {"authorId": "id"}
+        });
+
+        return {
+            id: column("id", GraphQLInt),
+            title: column("title", GraphQLString),
+            authorId: column("authorId", GraphQLInt),
+            author: author,
+            booksBySameAuthor: extract(author, "books")
+        };
+    }
+});
+
+function byId(table) {
+    return (query, args) => args.id == null ? query : query.where(sql.eq(table.c.id, args.id));
+}
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            "books": many({target: Book}),
+            "book": single({
+                target: Book,
+                filter: byId(BookTable),
+                args: {"id": {type: GraphQLInt}}
+            }),
+            "author": single({
+                target: Author,
+                filter: byId(AuthorTable),
+                args: {"id": {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+function executeQuery(query, options) {
+    return execute(Root, query, options).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+}
+
+exports[module.filename] = testCases(executeQuery);
+
+exports["explain() includes queries for each fetch"] = () => {
+    const query = `
+        {
+            author(id: 1) {
+                books {
+                    title
+                }
+            }
+        }
+    `;
+    return explain(Root, query).then(result => {
+        assert.equal(result.fetchCount, 2);
+        const booksFetch = result.plan.relationships[0].fetches[0].relationships[0].fetches[0];
+        assert.deepEqual(booksFetch.query, {
+            text: "SELECT DISTINCT book.title AS title, book.author_id AS _graphjoiner_joinToParentKey_authorId, book.id AS _primaryKey_id " +
+                "FROM book JOIN (SELECT author.id AS _graphjoiner_join_0 FROM author WHERE author.id = ?) AS anon_0 " +
+                "ON anon_0._graphjoiner_join_0 = book.author_id",
+            params: [1]
+        });
+    });
+};
@@ -1,3 +1,5 @@
+import assert from "assert";
+
 import { fromPairs, map, mapKeys, mapValues, zip } from "lodash";
 import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
 import sqlite3 from "sqlite3";
@@ -72,7 +74,9 @@ const Author = new JoinType({
                 const authors = authorSqlQuery.select(AuthorTable.c.id).subquery();
                 return sql.from(BookTable).join(authors, sql.eq(authors.c.id, BookTable.c.authorId));
             },
-            join: {"id": "authorId"}
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}, offset: {type: GraphQLInt}},
+            window: args => ({limit: args.first, offset: args.offset})
         });
         
         return {
@@ -150,4 +154,11 @@ const Root = new RootJoinType({
     }
 });
 
-exports[module.filename] = testCases((...args) => execute(Root, ...args));
+function executeQuery(query, options) {
+    return execute(Root, query, options).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+}
+
+exports[module.filename] = testCases(executeQuery);
@@ -1,30 +1,12 @@
-import { fromPairs } from "lodash";
+import assert from "assert";
+
+import { flatMap, groupBy } from "lodash";
 import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
 
 import { JoinType, RootJoinType, field, single, many, extract, execute } from "../lib";
+import { allAuthors, allBooks, fetchImmediatesFromObj } from "./fixtures";
 import { testCases } from "./executionTestCases";
 
-const allAuthors = [
-    {id: 1, name: "PG Wodehouse"},
-    {id: 2, name: "Joseph Heller"}
-];
-
-const allBooks = [
-    {id: 1, title: "Leave It to Psmith", authorId: 1},
-    {id: 2, title: "Right Ho, Jeeves", authorId: 1},
-    {id: 3, title: "Catch-22", authorId: 2}
-];
-
-function fetchImmediatesFromObj(selections, objs) {
-    function readObj(obj) {
-        return fromPairs(selections.map(selection => [
-            selection.key,
-            obj[selection.field.name]
-        ]));
-    }
-    return objs.map(readObj);
-}
-
 const Author = new JoinType({
     name: "Author",
 
@@ -32,7 +14,9 @@ const Author = new JoinType({
         const books = many({
             target: Book,
             select: () => allBooks,
-            join: {"id": "authorId"}
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}, offset: {type: GraphQLInt}},
+            window: args => ({limit: args.first, offset: args.offset})
         });
         return {
             id: field({name: "id", type: GraphQLInt}),
@@ -64,7 +48,12 @@ const Book = new JoinType({
         };
     },
 
-    fetchImmediates: fetchImmediatesFromObj
+    fetchImmediates: fetchImmediatesFromObj,
+
+    selectWindow: (books, {partitionBy, offset, limit}) => {
+        const partitions = groupBy(books, book => partitionBy.map(field => book[field.name]).join(","));
+        return flatMap(partitions, partition => partition.slice(offset, limit == null ? undefined : offset + limit));
+    }
 });
 
 
@@ -106,4 +95,64 @@ const Root = new RootJoinType({
     }
 });
 
-exports[module.filename] = testCases((...args) => execute(Root, ...args));
+function executeQuery(query, options) {
+    return execute(Root, query, options).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+}
+
+exports[module.filename] = testCases(executeQuery);
+
+exports["execute() returns error if operationName does not match any operation"] = () => {
+    return execute(Root, "query getBooks { books { title } }", {operationName: "getAuthors"}).then(result => {
+        assert.equal(result.data, undefined);
+        assert.deepEqual(result.errors.map(error => error.message), ['Unknown operation named "getAuthors"']);
+    });
+};
+
+exports["execute() returns error if operationName is missing when there are multiple operations"] = () => {
+    return execute(Root, "query getBooks { books { title } } query getAuthor { author(id: 1) { name } }").then(result => {
+        assert.equal(result.data, undefined);
+        assert.deepEqual(
+            result.errors.map(error => error.message),
+            ["Must provide operation name if query contains multiple operations"]
+        );
+    });
+};
+
+exports["execute() returns validation error if field does not exist"] = () => {
+    return execute(Root, "{ books { isbn } }").then(result => {
+        assert.equal(result.data, undefined);
+        assert.deepEqual(
+            result.errors.map(error => ({message: error.message, locations: error.locations})),
+            [{message: 'Cannot query field "isbn" on type "Book".', locations: [{line: 1, column: 11}]}]
+        );
+    });
+};
+
+exports["execute() returns validation error if argument has wrong type"] = () => {
+    return execute(Root, '{ book(id: "one") { title } }').then(result => {
+        assert.equal(result.data, undefined);
+        assert.equal(result.errors.length, 1);
+        assert.deepEqual(result.errors[0].locations, [{line: 1, column: 12}]);
+    });
+};
+
+exports["execute() returns error if variable has wrong type"] = () => {
+    return execute(Root, "query getBook($id: Int!) { book(id: $id) { title } }", {variables: {id: "one"}}).then(result => {
+        assert.equal(result.data, undefined);
+        assert.equal(result.errors.length, 1);
+        assert.ok(/^Variable "\$id" got invalid value "one"/.test(result.errors[0].message), result.errors[0].message);
+    });
+};
+
+exports["execute() returns error if non-null variable is missing"] = () => {
+    return execute(Root, "query getBook($id: Int!) { book(id: $id) { title } }").then(result => {
+        assert.equal(result.data, undefined);
+        assert.deepEqual(
+            result.errors.map(error => error.message),
+            ['Variable "$id" of required type "Int!" was not provided.']
+        );
+    });
+};
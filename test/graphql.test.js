@@ -1,32 +1,11 @@
 import assert from "assert";
 
-import { fromPairs } from "lodash";
 import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
 
 import { JoinType, RootJoinType, field, single, many, extract } from "../lib";
+import { allAuthors, allBooks, fetchImmediatesFromObj } from "./fixtures";
 import { testCases } from "./executionTestCases";
 
-const allAuthors = [
-    {id: 1, name: "PG Wodehouse"},
-    {id: 2, name: "Joseph Heller"}
-];
-
-const allBooks = [
-    {id: 1, title: "Leave It to Psmith", authorId: 1},
-    {id: 2, title: "Right Ho, Jeeves", authorId: 1},
-    {id: 3, title: "Catch-22", authorId: 2}
-];
-
-function fetchImmediatesFromObj(selections, objs) {
-    function readObj(obj) {
-        return fromPairs(selections.map(selection => [
-            selection.key,
-            obj[selection.field.name]
-        ]));
-    }
-    return objs.map(readObj);
-}
-
 const Author = new JoinType({
     name: "Author",
 
@@ -34,7 +13,9 @@ const Author = new JoinType({
         const books = many({
             target: Book,
             select: () => allBooks,
-            join: {"id": "authorId"}
+            join: {"id": "authorId"},
+            args: {first: {type: GraphQLInt}, offset: {type: GraphQLInt}},
+            window: args => ({limit: args.first, offset: args.offset})
         });
         
         return {
@@ -116,7 +97,7 @@ const schema = new GraphQLSchema({
 });
 
 function execute(query, options={}) {
-    return graphql(schema, query, null, null, options.variables).then(result => {
+    return graphql(schema, query, null, null, options.variables, options.operationName).then(result => {
         assert.equal(result.errors, undefined);
         return result.data;
     });
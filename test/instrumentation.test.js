@@ -0,0 +1,194 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, many, execute } from "../lib";
+import { allAuthors, allBooks, fetchImmediatesFromObj } from "./fixtures";
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: many({
+                target: Book,
+                select: () => allBooks,
+                join: {"id": "authorId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({
+                target: Author,
+                select: args => {
+                    if (args.fail) {
+                        throw new Error("Could not select authors");
+                    }
+                    return allAuthors;
+                },
+                args: {fail: {type: GraphQLString}}
+            })
+        };
+    }
+});
+
+function recordEvents(events) {
+    function record(name) {
+        return event => events.push({
+            name,
+            operation: event.operation,
+            type: event.type,
+            path: event.path,
+            args: event.args,
+            rowCount: event.rowCount,
+            error: event.error === undefined ? undefined : event.error.message
+        });
+    }
+    return {
+        onStart: record("start"),
+        onEnd: record("end"),
+        onError: record("error")
+    };
+}
+
+exports["hooks are called for each select and fetchImmediates"] = () => {
+    const events = [];
+    const query = `
+        {
+            authors {
+                name
+                novels: books {
+                    title
+                }
+            }
+        }
+    `;
+    return execute(Root, query, {instrumentation: recordEvents(events)}).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(events, [
+            {name: "start", operation: "fetchImmediates", type: "Query", path: [], args: {}, rowCount: undefined, error: undefined},
+            {name: "end", operation: "fetchImmediates", type: "Query", path: [], args: {}, rowCount: 1, error: undefined},
+            {name: "start", operation: "select", type: "Author", path: ["authors"], args: {fail: null}, rowCount: undefined, error: undefined},
+            {name: "end", operation: "select", type: "Author", path: ["authors"], args: {fail: null}, rowCount: undefined, error: undefined},
+            {name: "start", operation: "fetchImmediates", type: "Author", path: ["authors"], args: {fail: null}, rowCount: undefined, error: undefined},
+            {name: "end", operation: "fetchImmediates", type: "Author", path: ["authors"], args: {fail: null}, rowCount: 2, error: undefined},
+            {name: "start", operation: "select", type: "Book", path: ["authors", "novels"], args: {}, rowCount: undefined, error: undefined},
+            {name: "end", operation: "select", type: "Book", path: ["authors", "novels"], args: {}, rowCount: undefined, error: undefined},
+            {name: "start", operation: "fetchImmediates", type: "Book", path: ["authors", "novels"], args: {}, rowCount: undefined, error: undefined},
+            {name: "end", operation: "fetchImmediates", type: "Book", path: ["authors", "novels"], args: {}, rowCount: 3, error: undefined}
+        ]);
+    });
+};
+
+exports["error hook is called when select fails"] = () => {
+    const events = [];
+    const query = `
+        {
+            authors(fail: "yes") {
+                name
+            }
+        }
+    `;
+    return execute(Root, query, {instrumentation: recordEvents(events)}).then(result => {
+        assert.deepEqual(result.data, {authors: null});
+        assert.deepEqual(events.slice(2), [
+            {name: "start", operation: "select", type: "Author", path: ["authors"], args: {fail: "yes"}, rowCount: undefined, error: undefined},
+            {name: "error", operation: "select", type: "Author", path: ["authors"], args: {fail: "yes"}, rowCount: undefined, error: "Could not select authors"}
+        ]);
+    });
+};
+
+exports["tracing adds timings of each fetch to extensions"] = () => {
+    const query = `
+        {
+            authors {
+                books {
+                    title
+                }
+            }
+        }
+    `;
+    return execute(Root, query, {tracing: true}).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(Object.keys(result), ["data", "extensions"]);
+        const tracing = result.extensions.tracing;
+        assert.equal(tracing.version, 1);
+        assert.ok(new Date(tracing.startTime) <= new Date(tracing.endTime));
+        assert.ok(tracing.duration > 0);
+        assert.deepEqual(
+            tracing.execution.fetches.map(fetch => [fetch.operation, fetch.type, fetch.path, fetch.rowCount]),
+            [
+                ["fetchImmediates", "Query", [], 1],
+                ["select", "Author", ["authors"], undefined],
+                ["fetchImmediates", "Author", ["authors"], 2],
+                ["select", "Book", ["authors", "books"], undefined],
+                ["fetchImmediates", "Book", ["authors", "books"], 3]
+            ]
+        );
+        tracing.execution.fetches.forEach(fetch => {
+            assert.ok(fetch.startOffset >= 0);
+            assert.ok(fetch.duration >= 0);
+            assert.ok(fetch.startOffset + fetch.duration <= tracing.duration);
+        });
+    });
+};
+
+exports["hooks and tracing are used for queries that include introspection fields"] = () => {
+    const events = [];
+    const query = `
+        {
+            __schema {
+                queryType {
+                    name
+                }
+            }
+            authors {
+                name
+            }
+        }
+    `;
+    return execute(Root, query, {instrumentation: recordEvents(events), tracing: true}).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            __schema: {queryType: {name: "Query"}},
+            authors: [{name: "PG Wodehouse"}, {name: "Joseph Heller"}]
+        });
+        const fetches = [
+            ["fetchImmediates", "Query"],
+            ["select", "Author"],
+            ["fetchImmediates", "Author"]
+        ];
+        assert.deepEqual(
+            events.filter(event => event.name === "start").map(event => [event.operation, event.type]),
+            fetches
+        );
+        assert.deepEqual(
+            result.extensions.tracing.execution.fetches.map(fetch => [fetch.operation, fetch.type]),
+            fetches
+        );
+    });
+};
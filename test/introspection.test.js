@@ -0,0 +1,221 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString, introspectionQuery } from "graphql";
+
+import { JoinType, RootJoinType, field, many, connection, extract, execute } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const authorRows = [
+    {id: 1, name: "PG Wodehouse"}
+];
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith"},
+    {id: 2, title: "Catch-22"}
+];
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            name: field({name: "name", type: GraphQLString}),
+            books: many({target: Book, select: () => bookRows})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            books: many({target: Book, select: () => bookRows}),
+            bookConnection: connection({target: Book, select: () => bookRows}),
+            authorBooks: extract(many({target: Author, select: () => authorRows}), "books")
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+function getData(result) {
+    assert.equal(result.errors, undefined);
+    return result.data;
+}
+
+const testCases = (execute) => ({
+    "__typename can be selected on any type": () => {
+        const query = `
+            {
+                __typename
+                books {
+                    __typename
+                    title
+                }
+                bookConnection {
+                    __typename
+                    edges {
+                        __typename
+                        node {
+                            type: __typename
+                        }
+                    }
+                    pageInfo {
+                        __typename
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "__typename": "Query",
+                "books": [
+                    {"__typename": "Book", "title": "Leave It to Psmith"},
+                    {"__typename": "Book", "title": "Catch-22"}
+                ],
+                "bookConnection": {
+                    "__typename": "BookConnection",
+                    "edges": [
+                        {"__typename": "BookEdge", "node": {"type": "Book"}},
+                        {"__typename": "BookEdge", "node": {"type": "Book"}}
+                    ],
+                    "pageInfo": {"__typename": "PageInfo"}
+                }
+            })
+        );
+    },
+
+    "__typename can be selected on relationships that are extracted": () => {
+        const query = `
+            {
+                authorBooks {
+                    __typename
+                    title
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "authorBooks": [
+                    [
+                        {"__typename": "Book", "title": "Leave It to Psmith"},
+                        {"__typename": "Book", "title": "Catch-22"}
+                    ]
+                ]
+            })
+        );
+    },
+
+    "__type can be queried alongside other fields": () => {
+        const query = `
+            {
+                __type(name: "Book") {
+                    name
+                    fields {
+                        name
+                    }
+                }
+                books {
+                    title
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "__type": {
+                    "name": "Book",
+                    "fields": [{"name": "id"}, {"name": "title"}]
+                },
+                "books": [
+                    {"title": "Leave It to Psmith"},
+                    {"title": "Catch-22"}
+                ]
+            })
+        );
+    }
+});
+
+exports["execute()"] = testCases(query => execute(Root, query).then(getData));
+
+exports["graphql()"] = testCases(query => graphql(schema, query).then(getData));
+
+exports["execute() supports full introspection query"] = () => {
+    return Promise.all([
+        execute(Root, introspectionQuery).then(getData),
+        graphql(schema, introspectionQuery).then(getData)
+    ]).then(([result, expected]) => {
+        assert.deepEqual(result, expected);
+    });
+};
+
+exports["execute() uses __schema in named fragments to detect introspection"] = () => {
+    const query = `
+        query Schema {
+            ...SchemaFields
+        }
+
+        fragment SchemaFields on Query {
+            __schema {
+                queryType {
+                    name
+                }
+            }
+        }
+    `;
+    return execute(Root, query).then(result =>
+        assert.deepEqual(getData(result), {"__schema": {"queryType": {"name": "Query"}}})
+    );
+};
+
+exports["execute() executes introspection and other fields in the same fragment"] = () => {
+    const query = `
+        query Books {
+            ...BookFields
+        }
+
+        fragment BookFields on Query {
+            books {
+                title
+            }
+            __schema {
+                queryType {
+                    name
+                }
+            }
+            __typename
+        }
+    `;
+    return execute(Root, query).then(result => {
+        const data = getData(result);
+        assert.deepEqual(data, {
+            "books": [
+                {"title": "Leave It to Psmith"},
+                {"title": "Catch-22"}
+            ],
+            "__schema": {"queryType": {"name": "Query"}},
+            "__typename": "Query"
+        });
+        assert.deepEqual(Object.keys(data), ["books", "__schema", "__typename"]);
+    });
+};
@@ -0,0 +1,229 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, extract, execute } from "../lib";
+import { allAuthors, allBooks, fetchImmediatesFromObj } from "./fixtures";
+
+let fetchCount = 0;
+
+function fetchImmediates(selections, objs) {
+    fetchCount++;
+    return fetchImmediatesFromObj(selections, objs);
+}
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: many({
+                target: Book,
+                select: () => allBooks,
+                join: {"id": "authorId"},
+                args: {first: {type: GraphQLInt}},
+                cost: args => args.first == null ? 10 : args.first
+            })
+        };
+    },
+
+    fetchImmediates
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        const author = single({
+            target: Author,
+            select: () => allAuthors,
+            join: {"authorId": "id"}
+        });
+
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: author,
+            booksBySameAuthor: extract(author, "books")
+        };
+    },
+
+    fetchImmediates
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            books: many({target: Book, select: () => allBooks}),
+            authors: many({target: Author, select: () => allAuthors})
+        };
+    },
+
+    limits: {maxDepth: 3}
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+function errorMessages(result) {
+    return result.errors.map(error => error.message);
+}
+
+exports["execute()"] = {
+    "query within limits is executed": () => {
+        const query = `
+            {
+                books {
+                    author {
+                        name
+                    }
+                }
+            }
+        `;
+        return execute(Root, query, {limits: {maxRelationships: 2, maxCost: 2}}).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"author": {"name": "PG Wodehouse"}},
+                        {"author": {"name": "PG Wodehouse"}},
+                        {"author": {"name": "Joseph Heller"}}
+                    ]
+                }
+            })
+        );
+    },
+
+    "query deeper than maxDepth is rejected before fetching": () => {
+        fetchCount = 0;
+        const query = `
+            {
+                books {
+                    author {
+                        books {
+                            author {
+                                name
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+        return execute(Root, query).then(result => {
+            assert.equal(fetchCount, 0);
+            assert.equal(result.data, undefined);
+            assert.deepEqual(errorMessages(result), ["Query depth of 4 exceeds maximum depth of 3"]);
+        });
+    },
+
+    "limits passed to execute() override limits on root": () => {
+        const query = `
+            {
+                books {
+                    author {
+                        name
+                    }
+                }
+            }
+        `;
+        return execute(Root, query, {limits: {maxDepth: 1}}).then(result =>
+            assert.deepEqual(errorMessages(result), ["Query depth of 2 exceeds maximum depth of 1"])
+        );
+    },
+
+    "limits are checked for queries that include introspection fields": () => {
+        fetchCount = 0;
+        const query = `
+            {
+                __type(name: "Book") {
+                    name
+                }
+                books {
+                    author {
+                        books {
+                            author {
+                                name
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+        return execute(Root, query, {limits: {maxDepth: 1}}).then(result => {
+            assert.equal(fetchCount, 0);
+            assert.equal(result.data, undefined);
+            assert.deepEqual(errorMessages(result), ["Query depth of 4 exceeds maximum depth of 1"]);
+        });
+    },
+
+    "relationships are counted across the whole query": () => {
+        const query = `
+            {
+                books {
+                    booksBySameAuthor {
+                        title
+                    }
+                }
+                authors {
+                    name
+                }
+            }
+        `;
+        return execute(Root, query, {limits: {maxRelationships: 2}}).then(result =>
+            assert.deepEqual(errorMessages(result), ["Query number of relationships of 3 exceeds maximum number of relationships of 2"])
+        );
+    },
+
+    "cost of fields is calculated from arguments": () => {
+        const query = `
+            {
+                authors {
+                    first: books(first: 2) {
+                        title
+                    }
+                    all: books {
+                        title
+                    }
+                }
+            }
+        `;
+        return execute(Root, query, {limits: {maxCost: 12}}).then(result =>
+            assert.deepEqual(errorMessages(result), ["Query cost of 13 exceeds maximum cost of 12"])
+        );
+    }
+};
+
+exports["graphql()"] = {
+    "root field deeper than maxDepth on root is an error": () => {
+        fetchCount = 0;
+        const query = `
+            {
+                authors {
+                    name
+                }
+                books {
+                    author {
+                        books {
+                            author {
+                                name
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+        return graphql(schema, query).then(result => {
+            assert.equal(fetchCount, 1);
+            assert.deepEqual(result.data, {
+                "authors": [{"name": "PG Wodehouse"}, {"name": "Joseph Heller"}],
+                "books": null
+            });
+            assert.deepEqual(errorMessages(result), ["Query depth of 4 exceeds maximum depth of 3"]);
+        });
+    }
+};
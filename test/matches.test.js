@@ -0,0 +1,177 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, execute, keyMatch, predicateMatch, rangeMatch } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const allOrders = [
+    {id: 1, productId: 1, orderedOn: "2017-01-15", customer: "bob"},
+    {id: 2, productId: 1, orderedOn: "2017-03-01", customer: "ALICE"},
+    {id: 3, productId: 2, orderedOn: "2017-03-01", customer: "alice"},
+    {id: 4, productId: 2, orderedOn: "2016-12-31", customer: "Carol"}
+];
+
+const allPrices = [
+    {productId: 1, validFrom: "2017-01-01", validTo: "2017-02-01", amount: 100},
+    {productId: 1, validFrom: "2017-02-01", validTo: null, amount: 120},
+    {productId: 2, validFrom: "2017-01-01", validTo: null, amount: 50}
+];
+
+const allCustomers = [
+    {name: "Alice", email: "alice@example.com"},
+    {name: "Bob", email: "bob@example.com"}
+];
+
+const Order = new JoinType({
+    name: "Order",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            productId: field({name: "productId", type: GraphQLInt}),
+            orderedOn: field({name: "orderedOn", type: GraphQLString}),
+            customerName: field({name: "customer", type: GraphQLString}),
+            price: single({
+                target: Price,
+                select: () => allPrices,
+                join: {"productId": "productId"},
+                match: rangeMatch({parent: "orderedOn", from: "validFrom", to: "validTo"})
+            }),
+            customer: single({
+                target: Customer,
+                select: () => allCustomers,
+                match: keyMatch({parent: "customerName", child: "name", key: name => name.toLowerCase()})
+            }),
+            laterPrices: many({
+                target: Price,
+                select: () => allPrices,
+                join: {"productId": "productId"},
+                match: predicateMatch({
+                    parentFields: ["orderedOn"],
+                    childFields: ["validFrom"],
+                    matches: ([orderedOn], [validFrom]) => validFrom > orderedOn
+                })
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Price = new JoinType({
+    name: "Price",
+
+    fields() {
+        return {
+            productId: field({name: "productId", type: GraphQLInt}),
+            validFrom: field({name: "validFrom", type: GraphQLString}),
+            validTo: field({name: "validTo", type: GraphQLString}),
+            amount: field({name: "amount", type: GraphQLInt})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Customer = new JoinType({
+    name: "Customer",
+
+    fields() {
+        return {
+            name: field({name: "name", type: GraphQLString}),
+            email: field({name: "email", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            orders: many({target: Order, select: () => allOrders})
+        };
+    }
+});
+
+exports["rangeMatch() matches children whose range contains the parent value"] = () => {
+    return execute(Root, "{ orders { id price { amount } } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            orders: [
+                {id: 1, price: {amount: 100}},
+                {id: 2, price: {amount: 120}},
+                {id: 3, price: {amount: 50}},
+                {id: 4, price: null}
+            ]
+        });
+    });
+};
+
+exports["keyMatch() matches children using the key of each value"] = () => {
+    return execute(Root, "{ orders { id customer { email } } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            orders: [
+                {id: 1, customer: {email: "bob@example.com"}},
+                {id: 2, customer: {email: "alice@example.com"}},
+                {id: 3, customer: {email: "alice@example.com"}},
+                {id: 4, customer: null}
+            ]
+        });
+    });
+};
+
+exports["predicateMatch() matches children for which the predicate is true"] = () => {
+    return execute(Root, "{ orders { id laterPrices { amount } } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            orders: [
+                {id: 1, laterPrices: [{amount: 120}]},
+                {id: 2, laterPrices: []},
+                {id: 3, laterPrices: []},
+                {id: 4, laterPrices: [{amount: 50}]}
+            ]
+        });
+    });
+};
+
+function rangeIndex(ranges) {
+    return rangeMatch({parent: "value", from: "from", to: "to"}).index(ranges.map(([from, to], index) => ({
+        matchValues: [from, to],
+        value: index
+    })));
+}
+
+exports["rangeMatch() returns overlapping ranges in their original order"] = () => {
+    const index = rangeIndex([[5, 10], [0, 20], [null, 6], [8, null], [12, 15]]);
+    assert.deepEqual(index.get([0]), [1, 2]);
+    assert.deepEqual(index.get([5]), [0, 1, 2]);
+    assert.deepEqual(index.get([9]), [0, 1, 3]);
+    assert.deepEqual(index.get([10]), [1, 3]);
+    assert.deepEqual(index.get([14]), [1, 3, 4]);
+    assert.deepEqual(index.get([25]), [3]);
+    assert.deepEqual(index.get([-1]), [2]);
+    assert.deepEqual(index.get([null]), []);
+};
+
+exports["rangeMatch() treats the end of each range as exclusive"] = () => {
+    const index = rangeIndex([[1, 2], [2, 3]]);
+    assert.deepEqual(index.get([1]), [0]);
+    assert.deepEqual(index.get([2]), [1]);
+    assert.deepEqual(index.get([3]), []);
+};
+
+exports["relationships using through cannot use match"] = () => {
+    assert.throws(
+        () => many({
+            target: Price,
+            through: {target: Order, select: () => allOrders, join: {}},
+            match: rangeMatch({parent: "orderedOn", from: "validFrom", to: "validTo"})
+        }),
+        /^Error: Relationships using through cannot use match$/
+    );
+};
@@ -0,0 +1,179 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, MutationRootJoinType, field, single, many, execute } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+function createSchema() {
+    const allAuthors = [
+        {id: 1, name: "PG Wodehouse"},
+        {id: 2, name: "Joseph Heller"}
+    ];
+
+    const allBooks = [
+        {id: 1, title: "Leave It to Psmith", authorId: 1}
+    ];
+    let nextBookId = 2;
+
+    const Author = new JoinType({
+        name: "Author",
+
+        fields() {
+            return {
+                id: field({name: "id", type: GraphQLInt}),
+                name: field({name: "name", type: GraphQLString}),
+                books: many({
+                    target: Book,
+                    select: () => allBooks,
+                    join: {"id": "authorId"}
+                })
+            };
+        },
+
+        fetchImmediates: fetchImmediatesFromObj
+    });
+
+    const Book = new JoinType({
+        name: "Book",
+
+        fields() {
+            return {
+                id: field({name: "id", type: GraphQLInt}),
+                title: field({name: "title", type: GraphQLString}),
+                authorId: field({name: "authorId", type: GraphQLInt}),
+                author: single({
+                    target: Author,
+                    select: () => allAuthors,
+                    join: {"authorId": "id"}
+                })
+            };
+        },
+
+        fetchImmediates: fetchImmediatesFromObj
+    });
+
+    const Root = new RootJoinType({
+        name: "Query",
+
+        fields() {
+            return {
+                books: many({target: Book, select: () => allBooks})
+            };
+        }
+    });
+
+    const Mutation = new MutationRootJoinType({
+        name: "Mutation",
+
+        fields() {
+            return {
+                createBook: single({
+                    target: Book,
+                    args: {title: {type: GraphQLString}, authorId: {type: GraphQLInt}},
+                    mutate: args => {
+                        const book = {id: nextBookId++, title: args.title, authorId: args.authorId};
+                        allBooks.push(book);
+                        return Promise.resolve(book.id);
+                    },
+                    select: (args, bookId) => allBooks.filter(book => book.id === bookId)
+                }),
+                deleteBooksByAuthor: many({
+                    target: Book,
+                    args: {authorId: {type: GraphQLInt}},
+                    mutate: args => {
+                        const deleted = allBooks.filter(book => book.authorId === args.authorId);
+                        deleted.forEach(book => allBooks.splice(allBooks.indexOf(book), 1));
+                        return deleted;
+                    },
+                    select: (args, deleted) => deleted
+                })
+            };
+        }
+    });
+
+    return {Root, Mutation};
+}
+
+const testCases = (createExecute) => ({
+    "mutation returns joined selection for affected rows": () => {
+        const execute = createExecute();
+        const query = `
+            mutation {
+                createBook(title: "Catch-22", authorId: 2) {
+                    id
+                    title
+                    author {
+                        name
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "createBook": {
+                    "id": 2,
+                    "title": "Catch-22",
+                    "author": {"name": "Joseph Heller"}
+                }
+            })
+        );
+    },
+
+    "mutation fields are executed serially in document order": () => {
+        const execute = createExecute();
+        const query = `
+            mutation {
+                first: createBook(title: "Right Ho, Jeeves", authorId: 1) {
+                    id
+                }
+                deleted: deleteBooksByAuthor(authorId: 1) {
+                    title
+                }
+                second: createBook(title: "Catch-22", authorId: 2) {
+                    id
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                "first": {"id": 2},
+                "deleted": [
+                    {"title": "Leave It to Psmith"},
+                    {"title": "Right Ho, Jeeves"}
+                ],
+                "second": {"id": 3}
+            })
+        );
+    }
+});
+
+exports["execute()"] = testCases(() => {
+    const {Root, Mutation} = createSchema();
+    return (query) => execute(Root, query, {mutationRoot: Mutation}).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+});
+
+exports["execute() returns error for mutation if mutation root is not set"] = () => {
+    const {Root} = createSchema();
+    return execute(Root, `mutation { createBook(title: "Catch-22", authorId: 2) { id } }`).then(result => {
+        assert.equal(result.data, undefined);
+        assert.deepEqual(result.errors.map(error => error.message), ["Schema does not support mutation operations"]);
+    });
+};
+
+exports["graphql()"] = testCases(() => {
+    const {Root, Mutation} = createSchema();
+    const schema = new GraphQLSchema({
+        query: Root.toGraphQLType(),
+        mutation: Mutation.toGraphQLType()
+    });
+    return (query) => graphql(schema, query).then(result => {
+        assert.equal(result.errors, undefined);
+        return result.data;
+    });
+});
@@ -0,0 +1,191 @@
+import assert from "assert";
+
+import { graphql, GraphQLSchema, GraphQLInt, GraphQLNonNull, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, extract, execute } from "../lib";
+import { allAuthors, fetchImmediatesFromObj } from "./fixtures";
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith", authorId: 1},
+    {id: 2, title: "Right Ho, Jeeves", authorId: 1},
+    {id: 3, title: null, authorId: 2}
+];
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        const books = many({
+            target: Book,
+            select: () => bookRows,
+            join: {"id": "authorId"},
+            nonNull: true,
+            nonNullItems: true
+        });
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: new GraphQLNonNull(GraphQLString)}),
+            books: books,
+            bookTitles: extract(books, "title"),
+            requiredBookTitles: extract(books, "requiredTitle"),
+            reviews: many({
+                target: Book,
+                select: () => {
+                    throw new Error("Could not select reviews");
+                },
+                join: {"id": "authorId"},
+                nonNull: true
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        const author = single({
+            target: Author,
+            select: () => allAuthors,
+            join: {"authorId": "id"},
+            nonNull: true
+        });
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            requiredTitle: field({name: "title", type: new GraphQLNonNull(GraphQLString)}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: author,
+            authorName: extract(author, "name")
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({target: Author, select: () => allAuthors, nonNull: true, nonNullItems: true}),
+            books: many({target: Book, select: () => bookRows})
+        };
+    }
+});
+
+const schema = new GraphQLSchema({
+    query: Root.toGraphQLType()
+});
+
+exports["many() relationships can have non-null lists of non-null items"] = () => {
+    assert.equal(String(Author.toGraphQLType().getFields().books.type), "[Book!]!");
+    assert.equal(String(Root.toGraphQLType().getFields().books.type), "[Book]");
+};
+
+exports["extract() has the nullability of the relationship and the field"] = () => {
+    assert.equal(String(Author.toGraphQLType().getFields().bookTitles.type), "[String]!");
+    assert.equal(String(Author.toGraphQLType().getFields().requiredBookTitles.type), "[String!]!");
+    assert.equal(String(Book.toGraphQLType().getFields().authorName.type), "String!");
+};
+
+const testCases = (execute) => ({
+    "extracted fields that are nullable can be null": () => {
+        const query = `
+            {
+                authors {
+                    bookTitles
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "authors": [
+                        {"bookTitles": ["Leave It to Psmith", "Right Ho, Jeeves"]},
+                        {"bookTitles": [null]}
+                    ]
+                }
+            })
+        );
+    },
+
+    "null items of non-null lists null out the nearest nullable parent": () => {
+        const query = `
+            {
+                books {
+                    author {
+                        requiredBookTitles
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: {
+                    "books": [
+                        {"author": {"requiredBookTitles": ["Leave It to Psmith", "Right Ho, Jeeves"]}},
+                        {"author": {"requiredBookTitles": ["Leave It to Psmith", "Right Ho, Jeeves"]}},
+                        null
+                    ]
+                },
+                errors: [
+                    {
+                        message: "Cannot return null for non-nullable field Author.requiredBookTitles.",
+                        locations: [{line: 5, column: 25}],
+                        path: ["books", 2, "author", "requiredBookTitles", 0]
+                    }
+                ]
+            })
+        );
+    },
+
+    "failures in non-null relationships null out the nearest nullable parent": () => {
+        const query = `
+            {
+                authors {
+                    name
+                    reviews {
+                        title
+                    }
+                }
+            }
+        `;
+
+        return execute(query).then(result =>
+            assert.deepEqual(result, {
+                data: null,
+                errors: [
+                    {
+                        message: "Could not select reviews",
+                        locations: [{line: 5, column: 21}],
+                        path: ["authors", 0, "reviews"]
+                    }
+                ]
+            })
+        );
+    }
+});
+
+function formatResult(result) {
+    if (result.errors) {
+        return {
+            data: result.data,
+            errors: result.errors.map(error => ({
+                message: error.message,
+                locations: error.locations,
+                path: error.path
+            }))
+        };
+    } else {
+        return result;
+    }
+}
+
+exports["execute()"] = testCases(query => execute(Root, query).then(formatResult));
+
+exports["graphql()"] = testCases(query => graphql(schema, query).then(formatResult));
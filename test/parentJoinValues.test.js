@@ -0,0 +1,119 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, execute } from "../lib";
+import { allAuthors, allBooks, fetchImmediatesFromObj } from "./fixtures";
+
+let bookSelects = [];
+
+const Author = new JoinType({
+    name: "Author",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString}),
+            books: many({
+                target: Book,
+                select: (args, authors, context, parentJoinValues) => {
+                    bookSelects.push(parentJoinValues);
+                    return allBooks;
+                },
+                join: {"id": "authorId"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            authorId: field({name: "authorId", type: GraphQLInt}),
+            author: single({
+                target: Author,
+                select: () => allAuthors,
+                join: {"authorId": "id"}
+            })
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            authors: many({
+                target: Author,
+                select: args => allAuthors.filter(author => args.id == null || author.id === args.id),
+                args: {id: {type: GraphQLInt}}
+            }),
+            books: many({
+                target: Book,
+                select: () => allBooks
+            }),
+            generatedAuthors: many({
+                target: Author,
+                select: args => Array.from({length: args.count}, (value, index) => ({id: index % (args.count / 2)})),
+                args: {count: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+exports.beforeEach = () => {
+    bookSelects = [];
+};
+
+exports["children are not selected when there are no parents"] = () => {
+    const query = `
+        {
+            authors(id: 3) {
+                books {
+                    title
+                }
+            }
+        }
+    `;
+    return execute(Root, query).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {authors: []});
+        assert.deepEqual(bookSelects, []);
+    });
+};
+
+exports["select is passed the distinct join values of the parents"] = () => {
+    const query = `
+        {
+            books {
+                author {
+                    books {
+                        title
+                    }
+                }
+            }
+        }
+    `;
+    return execute(Root, query).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(bookSelects, [[{id: 1}, {id: 2}]]);
+    });
+};
+
+exports["distinct join values are found for large numbers of parents"] = () => {
+    return execute(Root, "{ generatedAuthors(count: 20000) { books { title } } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.equal(bookSelects.length, 1);
+        assert.equal(bookSelects[0].length, 10000);
+        assert.deepEqual(bookSelects[0].slice(0, 2), [{id: 0}, {id: 1}]);
+    });
+};
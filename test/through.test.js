@@ -0,0 +1,181 @@
+import assert from "assert";
+
+import { GraphQLInt, GraphQLString } from "graphql";
+
+import { JoinType, RootJoinType, field, single, many, extract, execute, explain } from "../lib";
+import { fetchImmediatesFromObj } from "./fixtures";
+
+const bookRows = [
+    {id: 1, title: "Leave It to Psmith"},
+    {id: 2, title: "Right Ho, Jeeves"},
+    {id: 3, title: "Catch-22"}
+];
+
+const allTags = [
+    {id: 1, name: "comedy"},
+    {id: 2, name: "war"},
+    {id: 3, name: "satire"}
+];
+
+const allBookTags = [
+    {bookId: 1, tagId: 1},
+    {bookId: 2, tagId: 1},
+    {bookId: 3, tagId: 1},
+    {bookId: 3, tagId: 2},
+    {bookId: 3, tagId: 3}
+];
+
+let selects = [];
+
+const BookTag = new JoinType({
+    name: "BookTag",
+
+    fields() {
+        return {
+            bookId: field({name: "bookId", type: GraphQLInt}),
+            tagId: field({name: "tagId", type: GraphQLInt})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Book = new JoinType({
+    name: "Book",
+
+    fields() {
+        const tags = many({
+            target: Tag,
+            through: {
+                target: BookTag,
+                select: (args, books, context, bookJoinValues) => {
+                    selects.push({type: "BookTag", joinValues: bookJoinValues});
+                    return allBookTags;
+                },
+                join: {"id": "bookId"}
+            },
+            select: (args, bookTags, context, bookTagJoinValues) => {
+                selects.push({type: "Tag", joinValues: bookTagJoinValues});
+                return allTags;
+            },
+            join: {"tagId": "id"},
+            args: {first: {type: GraphQLInt}},
+            window: args => ({limit: args.first})
+        });
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            title: field({name: "title", type: GraphQLString}),
+            tags: tags,
+            tagNames: extract(tags, "name")
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Tag = new JoinType({
+    name: "Tag",
+
+    fields() {
+        return {
+            id: field({name: "id", type: GraphQLInt}),
+            name: field({name: "name", type: GraphQLString})
+        };
+    },
+
+    fetchImmediates: fetchImmediatesFromObj
+});
+
+const Root = new RootJoinType({
+    name: "Query",
+
+    fields() {
+        return {
+            books: many({target: Book, select: () => bookRows}),
+            book: single({
+                target: Book,
+                select: args => bookRows.filter(book => book.id === args.id),
+                args: {id: {type: GraphQLInt}}
+            })
+        };
+    }
+});
+
+exports.beforeEach = () => {
+    selects = [];
+};
+
+exports["children are found using the rows of the association type"] = () => {
+    const query = `
+        {
+            books {
+                title
+                tags {
+                    name
+                }
+            }
+        }
+    `;
+    return execute(Root, query).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            books: [
+                {title: "Leave It to Psmith", tags: [{name: "comedy"}]},
+                {title: "Right Ho, Jeeves", tags: [{name: "comedy"}]},
+                {title: "Catch-22", tags: [{name: "comedy"}, {name: "war"}, {name: "satire"}]}
+            ]
+        });
+        assert.deepEqual(selects, [
+            {type: "BookTag", joinValues: [{id: 1}, {id: 2}, {id: 3}]},
+            {type: "Tag", joinValues: [{tagId: 1}, {tagId: 2}, {tagId: 3}]}
+        ]);
+    });
+};
+
+exports["association type is not part of the schema"] = () => {
+    return execute(Root, "{ __schema { types { name } } }").then(result => {
+        const typeNames = result.data.__schema.types.map(type => type.name);
+        assert.ok(typeNames.indexOf("Tag") !== -1);
+        assert.equal(typeNames.indexOf("BookTag"), -1);
+    });
+};
+
+exports["windows are applied for each parent"] = () => {
+    const query = `
+        {
+            books {
+                tags(first: 2) {
+                    name
+                }
+            }
+        }
+    `;
+    return execute(Root, query).then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {
+            books: [
+                {tags: [{name: "comedy"}]},
+                {tags: [{name: "comedy"}]},
+                {tags: [{name: "comedy"}, {name: "war"}]}
+            ]
+        });
+    });
+};
+
+exports["fields can be extracted from relationships using through"] = () => {
+    return execute(Root, "{ book(id: 3) { tagNames } }").then(result => {
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.data, {book: {tagNames: ["comedy", "war", "satire"]}});
+    });
+};
+
+exports["explain() includes fetch of association type"] = () => {
+    return explain(Root, "{ books { tags { name } } }").then(result => {
+        assert.equal(result.fetchCount, 3);
+        const tags = result.plan.relationships[0].fetches[0].relationships[0];
+        assert.deepEqual(tags.join, {"tagId": "id"});
+        assert.deepEqual(tags.through.join, {"id": "bookId"});
+        assert.deepEqual(tags.through.fetches.map(fetch => fetch.type), ["BookTag"]);
+        assert.deepEqual(tags.fetches.map(fetch => fetch.type), ["Tag"]);
+    });
+};